@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+
+// What the brush can do to the hexes under it
+const BRUSH_MODES = ['raise', 'lower', 'flatten', 'smooth', 'paint', 'eraseModel'];
+
+// Height a full-strength dab raises or lowers the centre hex by
+const HEIGHT_STEP = 1;
+
+// Lowest column the brush leaves, the height of an untouched hex
+const MIN_HEIGHT = 0.01;
+
+// Largest brush radius, in hexes
+const MAX_RADIUS = 8;
+
+/**
+ * BrushTool edits every hex within a radius of the pointer at once: raising,
+ * lowering, flattening or smoothing columns, painting colour, or erasing models.
+ *
+ * Hexes further from the centre are affected less, by the falloff. A stroke
+ * (press, drag, release) is shown locally as it is painted and then sent to
+ * the server as a single batch, so the whole stroke undoes in one step. If the
+ * server refuses the batch, the stroke's preview is taken back.
+ */
+class BrushTool {
+  /**
+   * @param {THREE.Scene} scene - Scene to draw the footprint preview into
+   * @param {HexGrid} hexGrid - Grid the brush paints on
+   * @param {Function} getPaintColor - Returns the colour (#rrggbb) 'paint' blends towards
+   */
+  constructor(scene, hexGrid, getPaintColor) {
+    this.scene = scene;
+    this.hexGrid = hexGrid;
+    this.getPaintColor = getPaintColor;
+
+    this.settings = {
+      mode: 'raise',
+      radius: 2, // Hexes from the centre to the edge of the brush
+      falloff: 0.5, // 0 affects every hex fully, 1 fades to almost nothing at the edge
+      strength: 0.5 // Share of a full dab applied each time, 0 to 1
+    };
+
+    this.stroke = null; // { changes, before, lastHexId, flattenHeight } while painting
+    this.previewGroup = new THREE.Group();
+    this.previewHexId = null; // Centre of the drawn preview, to skip redrawing it; undefined once stale
+    this.scene.add(this.previewGroup);
+  }
+
+  /**
+   * Change some of the brush settings; values out of range are clamped
+   * @param {Object} settings - Any of mode, radius, falloff and strength
+   */
+  setSettings(settings) {
+    const next = { ...this.settings, ...settings };
+
+    if (!BRUSH_MODES.includes(next.mode)) next.mode = this.settings.mode;
+    next.radius = Math.round(Math.min(MAX_RADIUS, Math.max(0, Number(next.radius) || 0)));
+    next.falloff = Math.min(1, Math.max(0, Number(next.falloff) || 0));
+    next.strength = Math.min(1, Math.max(0, Number(next.strength) || 0));
+
+    this.settings = next;
+    this.previewHexId = undefined; // The footprint may have changed size
+  }
+
+  /**
+   * Get the hexes under the brush and how strongly each is affected
+   * @param {string} centerHexId - Hex at the centre of the brush
+   * @returns {Array<{hexId: string, weight: number}>} Hexes on the grid, weight 0 to 1
+   */
+  getFootprint(centerHexId) {
+    const { hexUtils } = this.hexGrid;
+    const center = hexUtils.parseHexId(centerHexId);
+    const { radius, falloff } = this.settings;
+
+    return hexUtils.getHexesInRadius(center.q, center.r, radius)
+      .map(hex => ({
+        hexId: hexUtils.getHexId(hex.q, hex.r),
+        weight: 1 - falloff * (hexUtils.distance(center, hex) / (radius + 1))
+      }))
+      .filter(({ hexId }) => this.hexGrid.hexMeshes[hexId]);
+  }
+
+  /**
+   * Outline the hexes the brush would touch, fading with their weight
+   * @param {string|null} centerHexId - Hex under the pointer, or null to hide the preview
+   */
+  showPreview(centerHexId) {
+    if (centerHexId === this.previewHexId) return;
+    this.previewHexId = centerHexId;
+    this.hexGrid.clearOverlayGroup(this.previewGroup);
+    if (!centerHexId) return;
+
+    this.getFootprint(centerHexId).forEach(({ hexId, weight }) => {
+      const outline = this.hexGrid.createHexOutline(hexId, 0xffffff, 0.04);
+      if (!outline) return;
+
+      outline.material.transparent = true;
+      outline.material.opacity = 0.25 + 0.75 * weight;
+      this.previewGroup.add(outline);
+    });
+  }
+
+  /**
+   * Hide the footprint preview
+   */
+  clearPreview() {
+    this.showPreview(null);
+  }
+
+  /**
+   * Redraw the preview on the next call to showPreview, e.g. after heights change
+   */
+  invalidatePreview() {
+    this.previewHexId = undefined;
+  }
+
+  /**
+   * Start a stroke and apply the first dab
+   * @param {string|null} hexId - Hex under the pointer, or null if the stroke starts off the grid
+   */
+  beginStroke(hexId) {
+    this.stroke = {
+      changes: {}, // Maps hex IDs to the fields the stroke has changed
+      before: {}, // Maps hex IDs to their synced state before the stroke touched them
+      lastHexId: null,
+      flattenHeight: null // 'flatten' levels towards the first hex painted
+    };
+    this.continueStroke(hexId);
+  }
+
+  /**
+   * Apply a dab when the pointer reaches a new hex during a stroke
+   * @param {string|null} hexId - Hex under the pointer, or null if it's off the grid
+   */
+  continueStroke(hexId) {
+    if (!this.stroke || !hexId || hexId === this.stroke.lastHexId) return;
+    this.stroke.lastHexId = hexId;
+
+    if (this.stroke.flattenHeight === null) {
+      this.stroke.flattenHeight = this.hexGrid.getHexHeight(hexId);
+    }
+
+    const updates = this.getFootprint(hexId)
+      .map(({ hexId: targetId, weight }) => ({ hexId: targetId, action: this.getDabAction(targetId, weight) }))
+      .filter(({ action }) => action !== null);
+    if (updates.length === 0) return;
+
+    // Show the dab right away; the server confirms the whole stroke at the end
+    updates.forEach(({ hexId: targetId }) => {
+      if (!this.stroke.before[targetId]) {
+        this.stroke.before[targetId] = { ...this.hexGrid.hexStates[targetId] };
+      }
+    });
+    this.hexGrid.applyHexUpdates(updates);
+    updates.forEach(({ hexId: targetId, action }) => {
+      this.stroke.changes[targetId] = { ...this.stroke.changes[targetId], ...action };
+    });
+    this.invalidatePreview();
+  }
+
+  /**
+   * Finish the stroke
+   * @returns {{updates: Array<{hexId: string, action: Object}>, before: Object}} Every hex change
+   * the stroke made, to send as one batch, and the touched hexes' states before it, for revertStroke
+   */
+  endStroke() {
+    if (!this.stroke) return { updates: [], before: {} };
+
+    const { changes, before } = this.stroke;
+    this.stroke = null;
+    return { updates: Object.keys(changes).map(hexId => ({ hexId, action: changes[hexId] })), before };
+  }
+
+  /**
+   * Take back the preview of a stroke the server refused. Fields that have
+   * changed again since, e.g. by another user, are left as they are.
+   * @param {Object} stroke - Result of endStroke
+   */
+  revertStroke({ updates, before }) {
+    const restore = updates
+      .map(({ hexId, action }) => {
+        const current = this.hexGrid.hexStates[hexId] || {};
+        const revert = {};
+
+        Object.keys(action).forEach(field => {
+          if (JSON.stringify(current[field]) !== JSON.stringify(action[field])) return;
+          revert[field] = before[hexId][field] === undefined ? null : before[hexId][field];
+        });
+
+        return { hexId, action: revert };
+      })
+      .filter(({ action }) => Object.keys(action).length > 0);
+
+    this.hexGrid.applyHexUpdates(restore);
+    this.invalidatePreview();
+  }
+
+  /**
+   * Work out what one dab does to a hex
+   * @param {string} hexId - Hex under the brush
+   * @param {number} weight - How strongly the brush affects it, 0 to 1
+   * @returns {Object|null} Hex action, or null if the hex doesn't change
+   */
+  getDabAction(hexId, weight) {
+    const amount = this.settings.strength * weight;
+    const hex = this.hexGrid.hexMeshes[hexId];
+    const height = hex.userData.height;
+
+    switch (this.settings.mode) {
+      case 'raise':
+        return this.getHeightAction(height, height + HEIGHT_STEP * amount);
+
+      case 'lower':
+        return this.getHeightAction(height, height - HEIGHT_STEP * amount);
+
+      case 'flatten':
+        return this.getHeightAction(height, height + (this.stroke.flattenHeight - height) * amount);
+
+      case 'smooth': {
+        const neighbors = this.hexGrid.hexUtils.neighbors(hex.userData.q, hex.userData.r)
+          .map(({ q, r }) => this.hexGrid.getHexHeight(this.hexGrid.hexUtils.getHexId(q, r)))
+          .filter(neighborHeight => neighborHeight !== undefined);
+        if (neighbors.length === 0) return null;
+
+        const average = neighbors.reduce((sum, value) => sum + value, 0) / neighbors.length;
+        return this.getHeightAction(height, height + (average - height) * amount);
+      }
+
+      case 'paint': {
+        const current = this.hexGrid.getHexColor(hexId);
+        const color = '#' + new THREE.Color(current).lerp(new THREE.Color(this.getPaintColor()), amount).getHexString();
+        return color === current ? null : { color };
+      }
+
+      case 'eraseModel': {
+        const state = this.hexGrid.hexStates[hexId];
+        return state && state.voxelModel ? { voxelModel: null } : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build a height change, clamped to the heights the server accepts
+   * @param {number} from - Current height
+   * @param {number} to - Wanted height
+   * @returns {Object|null} Hex action, or null if the height doesn't change
+   */
+  getHeightAction(from, to) {
+    const height = Math.round(Math.min(this.hexGrid.maxHexHeight, Math.max(MIN_HEIGHT, to)) * 100) / 100;
+    return height === from ? null : { height };
+  }
+}
+
+export { BrushTool, BRUSH_MODES };
@@ -0,0 +1,31 @@
+/**
+ * ColorTint blends hex colours towards a tint colour.
+ *
+ * The server uses it for /tint and the client for its tint button, so both
+ * produce the same colours. Colours are '#rrggbb' strings and each channel is
+ * blended separately. This module has no Three.js dependency so the server
+ * can load it too.
+ */
+class ColorTint {
+  /**
+   * Blend one colour towards a tint
+   * @param {string} color - Colour to start from, as '#rrggbb'
+   * @param {string} tint - Colour to blend towards, as '#rrggbb'
+   * @param {number} intensity - 0 keeps the colour as it is, 1 gives the tint
+   * @returns {string} Blended colour as '#rrggbb'
+   */
+  static blend(color, tint, intensity) {
+    const from = parseInt(color.slice(1), 16);
+    const to = parseInt(tint.slice(1), 16);
+
+    const blended = [16, 8, 0].reduce((value, shift) => {
+      const fromChannel = (from >> shift) & 0xff;
+      const toChannel = (to >> shift) & 0xff;
+      return value | (Math.round(fromChannel + (toChannel - fromChannel) * intensity) << shift);
+    }, 0);
+
+    return `#${blended.toString(16).padStart(6, '0')}`;
+  }
+}
+
+export { ColorTint };
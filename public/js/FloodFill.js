@@ -0,0 +1,113 @@
+// Ways a filled region can be matched
+const FILL_MATCHES = ['color', 'height', 'heightRange'];
+
+// Heights closer than this count as the same
+const HEIGHT_EPSILON = 0.001;
+
+/**
+ * Flood fill (paint bucket) over the hex grid: finds the connected region of
+ * hexes around a start hex that match it, spreading through neighbours.
+ *
+ * A region can be matched by colour (within a tolerance of the start hex's
+ * colour), by the start hex's exact height, or by a range of heights.
+ */
+class FloodFill {
+  /**
+   * @param {HexUtils} hexUtils - Hex math helpers
+   * @param {Function} getHeight - Returns the height of a hex ID, or undefined if it isn't on the grid
+   * @param {Function} getColor - Returns the top colour (#rrggbb) of a hex ID
+   */
+  constructor(hexUtils, getHeight, getColor) {
+    this.hexUtils = hexUtils;
+    this.getHeight = getHeight;
+    this.getColor = getColor;
+  }
+
+  /**
+   * Find the region a fill from a hex would cover
+   * @param {Object} start - Hex the fill starts from {q, r}
+   * @param {Object} options - Fill options
+   * @param {string} [options.match='color'] - 'color', 'height' or 'heightRange'
+   * @param {number} [options.tolerance=0] - For 'color': how different a colour may be, 0 (exact) to 1 (any)
+   * @param {number} [options.minHeight] - For 'heightRange': lowest height included
+   * @param {number} [options.maxHeight] - For 'heightRange': highest height included
+   * @returns {Array<string>} IDs of the hexes in the region, empty if the start hex doesn't match
+   */
+  fill(start, options = {}) {
+    const startId = this.hexUtils.getHexId(start.q, start.r);
+    if (this.getHeight(startId) === undefined) return [];
+
+    const matches = this.createMatcher(startId, options);
+    if (!matches(startId)) return [];
+
+    const region = [startId];
+    const visited = new Set(region);
+    const frontier = [start];
+
+    while (frontier.length > 0) {
+      const current = frontier.pop();
+
+      this.hexUtils.neighbors(current.q, current.r).forEach(next => {
+        const nextId = this.hexUtils.getHexId(next.q, next.r);
+        if (visited.has(nextId)) return;
+        visited.add(nextId);
+
+        if (this.getHeight(nextId) !== undefined && matches(nextId)) {
+          region.push(nextId);
+          frontier.push(next);
+        }
+      });
+    }
+
+    return region;
+  }
+
+  /**
+   * Build the test a hex must pass to join the region
+   * @param {string} startId - ID of the hex the fill starts from
+   * @param {Object} options - Same options as fill
+   * @returns {Function} Takes a hex ID and returns whether it matches
+   */
+  createMatcher(startId, { match = 'color', tolerance = 0, minHeight = -Infinity, maxHeight = Infinity }) {
+    if (!FILL_MATCHES.includes(match)) {
+      throw new Error(`Unknown fill match: ${match}`);
+    }
+
+    if (match === 'height') {
+      const startHeight = this.getHeight(startId);
+      return (hexId) => Math.abs(this.getHeight(hexId) - startHeight) <= HEIGHT_EPSILON;
+    }
+
+    if (match === 'heightRange') {
+      return (hexId) => {
+        const height = this.getHeight(hexId);
+        return height >= minHeight - HEIGHT_EPSILON && height <= maxHeight + HEIGHT_EPSILON;
+      };
+    }
+
+    const startColor = this.parseColor(this.getColor(startId));
+    return (hexId) => this.colorDistance(startColor, this.parseColor(this.getColor(hexId))) <= tolerance;
+  }
+
+  /**
+   * Split a #rrggbb colour into channels from 0 to 1
+   * @param {string} color - Colour string
+   * @returns {Array<number>} [r, g, b]
+   */
+  parseColor(color) {
+    const value = parseInt(color.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => channel / 255);
+  }
+
+  /**
+   * Distance between two colours, 0 for the same colour and 1 for black to white
+   * @param {Array<number>} a - [r, g, b] from parseColor
+   * @param {Array<number>} b - [r, g, b] from parseColor
+   * @returns {number} Distance from 0 to 1
+   */
+  colorDistance(a, b) {
+    return Math.sqrt(a.reduce((sum, channel, i) => sum + (channel - b[i]) ** 2, 0) / 3);
+  }
+}
+
+export { FloodFill, FILL_MATCHES };
@@ -0,0 +1,155 @@
+// Shapes a room's grid can take, with the dimensions each one uses
+const GRID_SHAPES = {
+  hexagon: { radius: 17 },
+  rectangle: { width: 30, height: 24 },
+  parallelogram: { width: 24, height: 24 },
+  triangle: { size: 30 }
+};
+
+const DEFAULT_GRID_SHAPE = 'hexagon';
+const DEFAULT_HEX_SIZE = 1;
+
+/**
+ * GridShapes lists the hexes that make up a room's grid.
+ *
+ * A grid definition is a small plain object: a shape, that shape's dimensions
+ * and the hex size, e.g. { shape: 'rectangle', width: 30, height: 24, hexSize: 1 }.
+ * The server owns the definition and every client builds the same hexes from it.
+ * Shapes other than the hexagon are shifted so their middle sits on hex 0,0.
+ * This module has no Three.js dependency so the server can load it too.
+ */
+class GridShapes {
+  /**
+   * Fill in a complete grid definition, dropping dimensions the shape doesn't use
+   * @param {Object} options - Partial grid definition
+   * @returns {Object} Complete grid definition
+   */
+  static createGrid(options = {}) {
+    const shape = GRID_SHAPES[options.shape] ? options.shape : DEFAULT_GRID_SHAPE;
+    const grid = { shape };
+
+    Object.keys(GRID_SHAPES[shape]).forEach(dimension => {
+      grid[dimension] = options[dimension] !== undefined ? options[dimension] : GRID_SHAPES[shape][dimension];
+    });
+
+    grid.hexSize = options.hexSize !== undefined ? options.hexSize : DEFAULT_HEX_SIZE;
+    return grid;
+  }
+
+  /**
+   * Count the hexes in a grid without listing them
+   * @param {Object} grid - Complete grid definition
+   * @returns {number} Number of hexes
+   */
+  static countHexes(grid) {
+    switch (grid.shape) {
+      case 'hexagon':
+        return 3 * grid.radius * (grid.radius + 1) + 1;
+      case 'rectangle':
+      case 'parallelogram':
+        return grid.width * grid.height;
+      case 'triangle':
+        return grid.size * (grid.size + 1) / 2;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * List every hex in a grid
+   * @param {Object} grid - Complete grid definition
+   * @returns {Array} Array of {q, r} objects
+   */
+  static getHexes(grid) {
+    const hexes = [];
+
+    switch (grid.shape) {
+      case 'hexagon':
+        for (let q = -grid.radius; q <= grid.radius; q++) {
+          const r1 = Math.max(-grid.radius, -q - grid.radius);
+          const r2 = Math.min(grid.radius, -q + grid.radius);
+          for (let r = r1; r <= r2; r++) {
+            hexes.push({ q, r });
+          }
+        }
+        return hexes;
+
+      case 'rectangle':
+        // Flat-topped hexes stack in columns, so every other column is offset
+        for (let q = 0; q < grid.width; q++) {
+          const offset = Math.floor(q / 2);
+          for (let r = -offset; r < grid.height - offset; r++) {
+            hexes.push({ q, r });
+          }
+        }
+        break;
+
+      case 'parallelogram':
+        for (let q = 0; q < grid.width; q++) {
+          for (let r = 0; r < grid.height; r++) {
+            hexes.push({ q, r });
+          }
+        }
+        break;
+
+      case 'triangle':
+        for (let q = 0; q < grid.size; q++) {
+          for (let r = 0; r < grid.size - q; r++) {
+            hexes.push({ q, r });
+          }
+        }
+        break;
+
+      default:
+        return hexes;
+    }
+
+    return GridShapes.centerHexes(hexes);
+  }
+
+  /**
+   * Get the distance in hexes from hex 0,0 to the furthest hex of a grid
+   * @param {Object} grid - Complete grid definition
+   * @returns {number} Largest distance from the origin
+   */
+  static getExtent(grid) {
+    if (grid.shape === 'hexagon') return grid.radius;
+
+    return GridShapes.getHexes(grid).reduce(
+      (extent, { q, r }) => Math.max(extent, Math.abs(q), Math.abs(r), Math.abs(q + r)),
+      0
+    );
+  }
+
+  /**
+   * Translate hexes so the hex nearest their middle becomes 0,0
+   * @param {Array} hexes - Array of {q, r} objects
+   * @returns {Array} Translated array of {q, r} objects
+   */
+  static centerHexes(hexes) {
+    if (hexes.length === 0) return hexes;
+
+    // Round the average cube coordinates to the nearest hex
+    const q = hexes.reduce((sum, hex) => sum + hex.q, 0) / hexes.length;
+    const r = hexes.reduce((sum, hex) => sum + hex.r, 0) / hexes.length;
+    const s = -q - r;
+
+    let rq = Math.round(q);
+    let rr = Math.round(r);
+    const rs = Math.round(s);
+
+    const qDiff = Math.abs(rq - q);
+    const rDiff = Math.abs(rr - r);
+    const sDiff = Math.abs(rs - s);
+
+    if (qDiff > rDiff && qDiff > sDiff) {
+      rq = -rr - rs;
+    } else if (rDiff > sDiff) {
+      rr = -rq - rs;
+    }
+
+    return hexes.map(hex => ({ q: hex.q - rq, r: hex.r - rr }));
+  }
+}
+
+export { GridShapes, GRID_SHAPES, DEFAULT_GRID_SHAPE, DEFAULT_HEX_SIZE };
@@ -0,0 +1,246 @@
+import * as THREE from 'three';
+
+// Format name and version written into exported clipboard files
+const CLIPBOARD_FORMAT = 'hexgrid-clipboard';
+const CLIPBOARD_VERSION = 1;
+
+// Hex fields the clipboard copies
+const COPIED_FIELDS = ['color', 'height', 'voxelModel'];
+
+// Most hexes a clipboard can hold, the same as the largest grid
+const MAX_CLIPBOARD_HEXES = 5000;
+
+// Ghost columns are drawn slightly narrower than the hexes under them
+const GHOST_SCALE = 0.9;
+
+/**
+ * HexClipboard holds a copied region of hexes (heights, colours and models)
+ * and places it elsewhere on the grid.
+ *
+ * Copied hexes are stored as offsets from the region's centre hex, so the
+ * region can be rotated in 60° steps and mirrored before it is pasted. While
+ * pasting, the region is previewed as translucent ghost columns. Clipboards can
+ * be exported and imported as JSON, so regions can move between rooms.
+ */
+class HexClipboard {
+  /**
+   * @param {THREE.Scene} scene - Scene to draw the ghost preview into
+   * @param {HexGrid} hexGrid - Grid to copy from and paste onto
+   */
+  constructor(scene, hexGrid) {
+    this.scene = scene;
+    this.hexGrid = hexGrid;
+
+    this.hexes = []; // { q, r, color?, height?, voxelModel? } with q, r relative to the centre
+    this.rotation = 0; // 60° steps, 0 to 5
+    this.mirrored = false; // Mirrored across the q axis before rotating
+
+    this.ghostGroup = new THREE.Group();
+    this.ghostHexId = null; // Hex the drawn ghost is centred on, to skip redrawing it; undefined once stale
+    this.scene.add(this.ghostGroup);
+  }
+
+  /**
+   * Number of hexes on the clipboard
+   * @returns {number} Clipboard size
+   */
+  get size() {
+    return this.hexes.length;
+  }
+
+  /**
+   * Copy hexes from the grid, replacing what the clipboard held
+   * @param {Array<string>} hexIds - IDs of the hexes to copy
+   * @returns {number} Number of hexes copied
+   */
+  copy(hexIds) {
+    const { hexUtils } = this.hexGrid;
+    const coords = hexIds.filter(hexId => this.hexGrid.hexMeshes[hexId]).map(hexId => hexUtils.parseHexId(hexId));
+    if (coords.length === 0) return 0;
+
+    // Offsets are taken from the hex nearest the middle of the region
+    const center = hexUtils.roundAxial(
+      coords.reduce((sum, { q }) => sum + q, 0) / coords.length,
+      coords.reduce((sum, { r }) => sum + r, 0) / coords.length
+    );
+
+    this.hexes = coords.map(({ q, r }) => {
+      const state = this.hexGrid.hexStates[hexUtils.getHexId(q, r)] || {};
+      const hex = { q: q - center.q, r: r - center.r };
+      COPIED_FIELDS.forEach(field => {
+        if (state[field] !== undefined) hex[field] = JSON.parse(JSON.stringify(state[field]));
+      });
+      return hex;
+    });
+    this.rotation = 0;
+    this.mirrored = false;
+    this.invalidateGhost();
+
+    return this.hexes.length;
+  }
+
+  /**
+   * Turn the clipboard 60° for each step
+   * @param {number} [steps=1] - Number of 60° steps; negative steps turn the other way
+   */
+  rotate(steps = 1) {
+    this.rotation = (((this.rotation + steps) % 6) + 6) % 6;
+    this.invalidateGhost();
+  }
+
+  /**
+   * Flip the clipboard across the q axis
+   */
+  mirror() {
+    this.mirrored = !this.mirrored;
+    this.invalidateGhost();
+  }
+
+  /**
+   * Get the copied hexes in the clipboard's current orientation
+   * @returns {Array<Object>} Copied hexes with their offsets and models rotated and mirrored
+   */
+  getTransformedHexes() {
+    const { hexUtils } = this.hexGrid;
+    const origin = { q: 0, r: 0 };
+
+    return this.hexes.map(hex => {
+      const mirrored = this.mirrored ? hexUtils.reflect(hex, origin, 'q') : hex;
+      const offset = hexUtils.rotate(mirrored, origin, this.rotation);
+
+      const transformed = { ...hex, q: offset.q, r: offset.r };
+      if (hex.voxelModel) transformed.voxelModel = this.transformModel(hex.voxelModel);
+      return transformed;
+    });
+  }
+
+  /**
+   * Work out the hex changes that paste the clipboard centred on a hex.
+   * Pasted hexes take the copied state exactly, so a copied hex without a
+   * colour, height or model clears the one it lands on. Hexes that land off
+   * the grid are skipped.
+   * @param {string} centerHexId - Hex the clipboard's centre lands on
+   * @returns {Array<{hexId: string, action: Object}>} Hex changes, to send as one batch
+   */
+  getPasteUpdates(centerHexId) {
+    const { hexUtils } = this.hexGrid;
+    const target = hexUtils.parseHexId(centerHexId);
+
+    return this.getTransformedHexes()
+      .map(hex => {
+        const action = {};
+        COPIED_FIELDS.forEach(field => {
+          action[field] = hex[field] === undefined ? null : hex[field];
+        });
+
+        return { hexId: hexUtils.getHexId(target.q + hex.q, target.r + hex.r), action };
+      })
+      .filter(({ hexId }) => this.hexGrid.hexMeshes[hexId]);
+  }
+
+  /**
+   * Turn a copied model to match the clipboard's rotation and mirroring
+   * @param {Object} voxelModel - Copied voxelModel field
+   * @returns {Object} voxelModel field to paste
+   */
+  transformModel(voxelModel) {
+    const rotation = { x: 0, y: 0, z: 0, ...voxelModel.rotation };
+
+    // Mirroring across the q axis reverses the model's heading; each rotation step turns it 60°
+    const yaw = (this.mirrored ? -rotation.y : rotation.y) + this.rotation * Math.PI / 3;
+    rotation.y = ((yaw % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+
+    return { ...voxelModel, rotation };
+  }
+
+  /**
+   * Draw the clipboard as translucent columns where it would be pasted
+   * @param {string|null} centerHexId - Hex under the pointer, or null to hide the ghost
+   */
+  showGhost(centerHexId) {
+    if (centerHexId === this.ghostHexId) return;
+    this.ghostHexId = centerHexId;
+    this.hexGrid.clearOverlayGroup(this.ghostGroup);
+    if (!centerHexId) return;
+
+    const { hexUtils } = this.hexGrid;
+    const radius = hexUtils.size * GHOST_SCALE;
+
+    this.getPasteUpdates(centerHexId).forEach(({ hexId, action }) => {
+      const { q, r } = hexUtils.parseHexId(hexId);
+      const height = action.height || 0.01;
+
+      const geometry = new THREE.CylinderGeometry(radius, radius, height, 6, 1, false, Math.PI / 2);
+      const material = new THREE.MeshBasicMaterial({
+        color: action.color || '#ffffff',
+        transparent: true,
+        opacity: 0.45,
+        depthWrite: false
+      });
+
+      const ghost = new THREE.Mesh(geometry, material);
+      ghost.position.copy(hexUtils.getObjectPosition(q, r, height / 2));
+      this.ghostGroup.add(ghost);
+    });
+  }
+
+  /**
+   * Hide the ghost preview
+   */
+  clearGhost() {
+    this.showGhost(null);
+  }
+
+  /**
+   * Redraw the ghost on the next call to showGhost, e.g. after rotating
+   */
+  invalidateGhost() {
+    this.ghostHexId = undefined;
+  }
+
+  /**
+   * Write the clipboard as a JSON document, in its current orientation
+   * @returns {Object} Clipboard document
+   */
+  toJSON() {
+    return {
+      format: CLIPBOARD_FORMAT,
+      version: CLIPBOARD_VERSION,
+      hexes: this.getTransformedHexes()
+    };
+  }
+
+  /**
+   * Replace the clipboard with an exported clipboard document. The server
+   * checks every pasted field, so only the document's shape is checked here.
+   * @param {Object} doc - Parsed clipboard document
+   */
+  fromJSON(doc) {
+    if (!doc || doc.format !== CLIPBOARD_FORMAT) {
+      throw new Error('Not a clipboard file');
+    }
+    if (doc.version > CLIPBOARD_VERSION) {
+      throw new Error(`Clipboard version ${doc.version} is newer than this app supports`);
+    }
+    if (!Array.isArray(doc.hexes) || doc.hexes.length === 0 || doc.hexes.length > MAX_CLIPBOARD_HEXES) {
+      throw new Error(`A clipboard must hold between 1 and ${MAX_CLIPBOARD_HEXES} hexes`);
+    }
+
+    this.hexes = doc.hexes.map((hex, index) => {
+      if (!hex || !Number.isInteger(hex.q) || !Number.isInteger(hex.r)) {
+        throw new Error(`Hex ${index} needs whole-number q and r coordinates`);
+      }
+
+      const copy = { q: hex.q, r: hex.r };
+      COPIED_FIELDS.forEach(field => {
+        if (hex[field] !== undefined && hex[field] !== null) copy[field] = hex[field];
+      });
+      return copy;
+    });
+    this.rotation = 0;
+    this.mirrored = false;
+    this.invalidateGhost();
+  }
+}
+
+export { HexClipboard };
@@ -1,31 +1,46 @@
 import * as THREE from 'three';
 import { HexUtils } from './HexUtils.js';
 import { VoxelModelManager } from './VoxelModelManager.js';
-import { NoiseGenerator } from './NoiseGenerator.js';
+import { TerrainGenerator } from './TerrainGenerator.js';
+import { Visibility } from './Visibility.js';
+import { FloodFill } from './FloodFill.js';
+import { GridShapes } from './GridShapes.js';
+import { ColorTint } from './ColorTint.js';
+
+// Hex fields the server syncs; a missing field means the default
+const HEX_STATE_FIELDS = ['color', 'height', 'voxelModel'];
 
 /**
  * HexGrid class handles creating and managing a hexagonal grid in Three.js
  */
 class HexGrid {
-  constructor(scene, hexSize = 1, radius = 10) {
+  /**
+   * @param {THREE.Scene} scene - Scene to draw the grid in
+   * @param {Object} grid - Grid definition (shape, dimensions, hexSize), see GridShapes
+   */
+  constructor(scene, grid = {}) {
     this.scene = scene;
-    this.hexUtils = new HexUtils(hexSize);
-    this.radius = radius;
-    this.hexMeshes = {}; // Maps hex IDs to their meshes
+    this.grid = GridShapes.createGrid(grid);
+    this.hexUtils = new HexUtils(this.grid.hexSize);
+    this.hexMeshes = {}; // Maps hex IDs to their hex records ({ userData, instanceId })
+    this.instanceHexIds = []; // Maps instance indices back to hex IDs
+    this.hexStates = {}; // Last synced state of each hex, as sent by the server
     this.sphereObjects = {}; // Maps hex IDs to their sphere objects
     this.selectedHex = null;
     this.hoverHex = null;
     this.currentRoomCode = null; // We'll need to know the room code for updates
     this.socketManager = null; // Reference to socket manager for sending updates
+    this.maxHexHeight = 50; // Tallest column the server accepts
+    this.terrainRecipe = null; // Recipe of the room's current terrain
+    this.readOnly = false; // Set for viewers, who can look but not change hexes
 
     // Initialize voxel model components
     this.voxelModels = {}; // Maps hex IDs to their voxel model data
     this.voxelModelManager = null; // Will be initialized if VoxelModelManager exists
 
-    // Set smaller radius for mobile devices to improve performance
-    if (this.detectMobile()) {
-      this.radius = Math.min(radius, 8); // Reduce radius on mobile for performance
-    }
+    // Mobile devices draw the same grid as everyone else, with cheaper materials
+    this.lowDetail = this.detectMobile();
+    const ColumnMaterial = this.lowDetail ? THREE.MeshLambertMaterial : THREE.MeshStandardMaterial;
 
     // Create materials
     this.defaultMaterial = new THREE.MeshLambertMaterial({
@@ -63,19 +78,28 @@ class HexGrid {
     this.cobbleTexture.wrapT = THREE.RepeatWrapping;
 
     // Create textured material for the sides of the hex columns
-    this.cobbleMaterial = new THREE.MeshStandardMaterial({
+    this.cobbleMaterial = new ColumnMaterial({
       map: this.cobbleTexture,
       side: THREE.DoubleSide
     });
 
+    // Columns are one unit-high column scaled per instance, so repeat the side
+    // texture by the instance height rather than stretching it
+    this.cobbleMaterial.onBeforeCompile = (shader) => {
+      shader.vertexShader = shader.vertexShader.replace(
+        '#include <uv_vertex>',
+        '#include <uv_vertex>\n#ifdef USE_INSTANCING\n  vMapUv.y *= instanceMatrix[1][1];\n#endif'
+      );
+    };
+
     // Material for the top of the hex columns
-    this.cobbleTopMaterial = new THREE.MeshStandardMaterial({
+    this.cobbleTopMaterial = new ColumnMaterial({
       map: this.cobbleTexture,
       side: THREE.DoubleSide
     });
 
     // Material for the top of the hex columns
-    this.cobbleTopMaterial = new THREE.MeshStandardMaterial({
+    this.cobbleTopMaterial = new ColumnMaterial({
       map: this.cobbleTexture,
       side: THREE.DoubleSide
     });
@@ -83,6 +107,25 @@ class HexGrid {
     // Create raycaster for hex selection
     this.raycaster = new THREE.Raycaster();
 
+    // Line-of-sight queries read column heights straight from the grid
+    this.visibility = new Visibility(this.hexUtils, (hexId) => this.getHexHeight(hexId));
+
+    // Fills spread through neighbours by the heights and colours on the grid
+    this.floodFill = new FloodFill(
+      this.hexUtils,
+      (hexId) => this.getHexHeight(hexId),
+      (hexId) => this.getHexColor(hexId)
+    );
+
+    // Translucent cap drawn over hexes that can't be seen
+    this.shadeMaterial = new THREE.MeshBasicMaterial({
+      color: 0x000000,
+      transparent: true,
+      opacity: 0.6,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+
     // Initialize
     this.createGrid();
 
@@ -107,102 +150,40 @@ class HexGrid {
   }
 
   /**
- * Generate terrain using noise
- * @param {number} scale - Scale of the noise pattern (higher = more zoomed in)
- * @param {number} amplitude - Maximum height of the terrain
- * @param {number} octaves - Number of noise layers (more = more detail)
- * @param {string} roomCode - Current room code for syncing
- * @param {SocketManager} socketManager - Socket manager for syncing
- */
-  // In HexGrid.js - modify the generateTerrain method
-  generateTerrain(scale = 0.1, amplitude = 3.0, octaves = 4, roomCode, socketManager) {
+   * Ask the server to generate terrain from a recipe
+   * @param {Object} recipe - Terrain recipe (seed, scale, amplitude, octaves, peaks); missing fields are derived from the seed
+   * @param {string} roomCode - Current room code for syncing
+   * @param {SocketManager} socketManager - Socket manager for syncing
+   */
+  generateTerrain(recipe, roomCode, socketManager) {
     // Skip if we're not in a room or don't have a socket manager
     if (!roomCode || !socketManager) {
       console.warn('Cannot generate terrain: not in a room or socket manager not available');
       return;
     }
 
-    console.log(`Generating terrain with scale=${scale}, amplitude=${amplitude}, octaves=${octaves}`);
-
-    // Create noise generator with a random seed
-    const noiseGen = new NoiseGenerator(Math.random() * 1000);
-
-    // Generate 1-2 random peak locations within grid bounds
-    const peakCount = 1 + Math.floor(Math.random() * 2); // 1 or 2 peaks
-    const peakPoints = [];
-    const gridRadius = this.radius * 1.5; // Adjust based on your grid size
-
-    for (let i = 0; i < peakCount; i++) {
-      // Generate peaks within the grid radius, but not at the very center
-      const angle = Math.random() * Math.PI * 2;
-      const distance = (0.3 + Math.random() * 0.5) * gridRadius; // Between 30-80% of grid radius
-
-      peakPoints.push({
-        x: Math.cos(angle) * distance,
-        y: Math.sin(angle) * distance
-      });
-    }
-
-    // Configure peak parameters
-    const peakHeight = 3.0 + Math.random() * 2.0; // Height between 3-5 units
-    const peakWidth = 3.0 + Math.random() * 2.0; // Width between 3-5 hex units
-
-    console.log(`Added ${peakCount} peaks with height ${peakHeight.toFixed(2)} and width ${peakWidth.toFixed(2)}`);
+    console.log('Requesting terrain with recipe', recipe);
 
-    // Process all hexes in batches to avoid freezing the UI
-    const hexIds = Object.keys(this.hexMeshes);
-    const batchSize = 20;
-
-    // Function to process a batch
-    const processBatch = (startIndex) => {
-      const endIndex = Math.min(startIndex + batchSize, hexIds.length);
-
-      for (let i = startIndex; i < endIndex; i++) {
-        const hexId = hexIds[i];
-        const hex = this.hexMeshes[hexId];
-        const { q, r } = hex.userData;
-
-        // Generate base height using noise
-        const noiseValue = noiseGen.fractalNoise(q * scale, r * scale, octaves);
-
-        // Calculate base height (adding a small minimum height)
-        let height = 0.25 + noiseValue * amplitude;
-
-        // Add peak influence (much taller areas)
-        const peakInfluence = noiseGen.createPeaks(q, r, peakPoints, peakHeight, peakWidth);
-        height += peakInfluence;
-
-        // Round to nearest 0.25 for cleaner values
-        const roundedHeight = Math.round(height * 4) / 4;
-
-        // Create action with the height change
-        const action = {
-          height: roundedHeight
-        };
+    // The server completes the recipe and broadcasts it back to everyone
+    socketManager.generateTerrain(roomCode, recipe);
+  }
 
-        // IMPORTANT: Preserve existing color if it exists
-        if (hex.userData.customColor) {
-          action.color = '#' + hex.userData.customColor.getHexString();
-        } else if (hex.material && hex.material[0] && hex.material[0].color) {
-          action.color = '#' + hex.material[0].color.getHexString();
-        }
+  /**
+   * Rebuild terrain heights locally from a recipe broadcast by the server
+   * @param {Object} recipe - Complete terrain recipe
+   */
+  applyTerrain(recipe) {
+    const generator = new TerrainGenerator(recipe);
+    const heights = generator.generate(Object.values(this.hexMeshes).map(hex => hex.userData));
 
-        // Send to server
-        socketManager.sendHexAction(
-          roomCode,
-          hexId,
-          action
-        );
-      }
+    console.log(`Applying terrain with seed ${recipe.seed} to ${Object.keys(heights).length} hexes`);
 
-      // Process next batch if there are more hexes
-      if (endIndex < hexIds.length) {
-        setTimeout(() => processBatch(endIndex), 50);
-      }
-    };
+    this.applyHexUpdates(Object.keys(heights).map(hexId => ({
+      hexId,
+      action: { height: heights[hexId] }
+    })));
 
-    // Start processing batches
-    processBatch(0);
+    this.terrainRecipe = generator.recipe;
   }
 
   /**
@@ -229,7 +210,6 @@ class HexGrid {
       return;
     }
 
-    // Process all hexes in batches to avoid freezing the UI
     const hexIds = Object.keys(this.hexMeshes);
     console.log(`Starting tint application for ${hexIds.length} hexes`);
 
@@ -242,78 +222,72 @@ class HexGrid {
     // Create a color from HSL
     const tintColor = new THREE.Color();
     tintColor.setHSL(hue, saturation, lightness);
+    const tint = '#' + tintColor.getHexString();
 
     console.log(`Using shared tint color: HSL(${hue.toFixed(2)}, ${saturation.toFixed(2)}, ${lightness.toFixed(2)})`);
 
-    const batchSize = 20;
-
-    // Function to process a batch
-    const processBatch = (startIndex) => {
-      const endIndex = Math.min(startIndex + batchSize, hexIds.length);
-      console.log(`Processing batch ${startIndex}-${endIndex} of ${hexIds.length} hexes`);
-
-      for (let i = startIndex; i < endIndex; i++) {
-        const hexId = hexIds[i];
-        const hex = this.hexMeshes[hexId];
-
-        // Get current color if it exists
-        let currentColor;
-        if (hex.userData.customColor) {
-          currentColor = hex.userData.customColor.clone();
-        } else if (Array.isArray(hex.material) && hex.material[0] && hex.material[0].color) {
-          currentColor = hex.material[0].color.clone();
-        } else if (hex.material && hex.material.color) {
-          currentColor = hex.material.color.clone();
-        } else {
-          currentColor = new THREE.Color(0x3498db);
-        }
+    // Build every hex change and send them to the server as one batch
+    const updates = hexIds.map(hexId => {
+      const hex = this.hexMeshes[hexId];
 
-        // Blend the current color with the single tint color based on intensity
-        const blendedColor = new THREE.Color(
-          currentColor.r * (1 - intensity) + tintColor.r * intensity,
-          currentColor.g * (1 - intensity) + tintColor.g * intensity,
-          currentColor.b * (1 - intensity) + tintColor.b * intensity
-        );
+      // Get current color, falling back to the plain texture color
+      const currentColor = hex.userData.customColor || this.cobbleTopMaterial.color;
 
-        // Apply color directly to hex
-        if (Array.isArray(hex.material)) {
-          if (hex.material[0]) {
-            // Top face for extruded hexes
-            hex.material[0].color.copy(blendedColor);
-          }
-        } else if (hex.material) {
-          // Single material case
-          hex.material.color.copy(blendedColor);
-        }
+      // Blend the current color with the single tint color the same way /tint does
+      const action = {
+        color: ColorTint.blend('#' + currentColor.getHexString(), tint, intensity),
+        // Preserve current height
+        height: hex.userData.height
+      };
 
-        // Store the new color in userData
-        hex.userData.customColor = blendedColor.clone();
-
-        // Create action with the color change but preserve height
-        const action = {
-          color: '#' + blendedColor.getHexString(),
-          // Preserve current height
-          height: hex.userData.height
-        };
-
-        // Send to server
-        socketManager.sendHexAction(
-          roomCode,
-          hexId,
-          action
-        );
-      }
+      return { hexId, action };
+    });
+
+    socketManager.sendHexBatch(roomCode, updates);
+    console.log(`Sent tint for all ${hexIds.length} hexes`);
+  }
 
-      // Process next batch if there are more hexes
-      if (endIndex < hexIds.length) {
-        setTimeout(() => processBatch(endIndex), 50);
-      } else {
-        console.log(`Tint application complete for all ${hexIds.length} hexes`);
+  /**
+   * Apply many hex state changes in one pass
+   * @param {Array<{hexId: string, action: Object}>} updates - Hex changes from the server
+   */
+  applyHexUpdates(updates) {
+    // Upload the instance buffers once for the whole batch
+    this.batchingUpdates = true;
+    updates.forEach(({ hexId, action }) => {
+      this.updateHexState(hexId, action);
+    });
+    this.batchingUpdates = false;
+
+    this.syncInstances();
+  }
+
+  /**
+   * Make every hex match a room's full state, only touching hexes that differ.
+   * Hexes missing from the state go back to their defaults.
+   * @param {Object} state - Maps hex IDs to hex states
+   */
+  applyRoomState(state) {
+    const updates = [];
+
+    Object.keys(this.hexMeshes).forEach(hexId => {
+      const current = this.hexStates[hexId] || {};
+      const target = (state && state[hexId]) || {};
+      const action = {};
+
+      HEX_STATE_FIELDS.forEach(field => {
+        if (JSON.stringify(current[field]) !== JSON.stringify(target[field])) {
+          action[field] = target[field] === undefined ? null : target[field];
+        }
+      });
+
+      if (Object.keys(action).length > 0) {
+        updates.push({ hexId, action });
       }
-    };
+    });
 
-    // Start processing batches
-    processBatch(0);
+    console.log(`Syncing ${updates.length} hexes with the room state`);
+    this.applyHexUpdates(updates);
   }
 
   /**
@@ -357,6 +331,9 @@ class HexGrid {
     // Only proceed if we have a selected hex
     if (!this.selectedHex || !this.currentRoomCode || !this.socketManager) return false;
 
+    // Viewers can't raise or lower hexes
+    if (this.readOnly) return false;
+
     // Always handle the scroll event when there's a selected hex, regardless of where it happened
     // This ensures that camera zoom is disabled while a hex is selected
 
@@ -367,7 +344,7 @@ class HexGrid {
     // Use smaller increments for finer control
     const direction = event.deltaY > 0 ? -1 : 1;
     const heightChange = 0.25 * direction;
-    let newHeight = Math.max(0.25, currentHeight + heightChange);
+    let newHeight = Math.min(this.maxHexHeight, Math.max(0.25, currentHeight + heightChange));
 
     // Round to nearest 0.25 for cleaner values
     newHeight = Math.round(newHeight * 4) / 4;
@@ -399,134 +376,191 @@ class HexGrid {
     return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
   }
 
+  /**
+   * Rebuild the grid from a new definition, clearing every hex
+   * @param {Object} grid - Grid definition (shape, dimensions, hexSize), see GridShapes
+   * @returns {boolean} Whether the grid changed
+   */
+  setGrid(grid) {
+    const newGrid = GridShapes.createGrid(grid);
+    if (JSON.stringify(newGrid) === JSON.stringify(this.grid)) return false;
+
+    // Drop everything attached to the old hexes
+    Object.keys(this.hexMeshes).forEach(hexId => {
+      this.removeVoxelModel(hexId);
+
+      if (this.sphereObjects[hexId]) {
+        this.scene.remove(this.sphereObjects[hexId]);
+        delete this.sphereObjects[hexId];
+      }
+    });
+
+    if (this.centerMarker) {
+      this.scene.remove(this.centerMarker);
+      this.centerMarker = null;
+    }
+
+    this.clearPath();
+    this.clearShading();
+
+    [this.topMesh, this.sideMesh].forEach(mesh => {
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.dispose();
+    });
+
+    this.selectedHex = null;
+    this.hoverHex = null;
+    this.hexMeshes = {};
+    this.instanceHexIds = [];
+    this.hexStates = {};
+    this.terrainRecipe = null;
+
+    this.grid = newGrid;
+    this.hexUtils.size = newGrid.hexSize;
+    this.createGrid();
+
+    console.log('Grid rebuilt:', newGrid, `${Object.keys(this.hexMeshes).length} hexes`);
+    return true;
+  }
+
   /**
    * Create the hexagonal grid
+   *
+   * Every hex is an instance of one shared unit-high column: the top and the
+   * sides are two InstancedMeshes with identical instance matrices, where the
+   * y scale is the column height. Hex tops are tinted with per-instance colors.
    */
   createGrid() {
-    const hexes = this.hexUtils.getHexesInRadius(0, 0, this.radius);
+    const hexes = GridShapes.getHexes(this.grid);
+    const size = this.hexUtils.size;
+
+    // Furthest hex from the origin, bounds field-of-view searches
+    this.gridExtent = GridShapes.getExtent(this.grid);
+
+    // Flat-topped hexagon cap at the top of the unit column
+    const topGeometry = new THREE.CircleGeometry(size, 6);
+    topGeometry.rotateX(-Math.PI / 2);
+    topGeometry.translate(0, 1, 0);
+
+    // Six open side walls from y = 0 to y = 1, one texture repeat per wall
+    const sideGeometry = new THREE.CylinderGeometry(size, size, 1, 6, 1, true, Math.PI / 2)
+      .toNonIndexed();
+    sideGeometry.translate(0, 0.5, 0);
+    sideGeometry.computeVertexNormals();
+    const uv = sideGeometry.attributes.uv;
+    for (let i = 0; i < uv.count; i++) {
+      uv.setX(i, uv.getX(i) * 6);
+    }
+
+    this.topMesh = new THREE.InstancedMesh(topGeometry, this.cobbleTopMaterial, hexes.length);
+    this.sideMesh = new THREE.InstancedMesh(sideGeometry, this.cobbleMaterial, hexes.length);
 
     // Process each hex in the grid
-    hexes.forEach(hex => {
+    hexes.forEach((hex, instanceId) => {
       const { q, r } = hex;
       const hexId = this.hexUtils.getHexId(q, r);
 
-      // Create hexagon shape
-      const corners = this.hexUtils.getHexCorners(q, r);
-      const hexShape = new THREE.Shape();
+      // Store hex data; height starts slightly above the ground plane to avoid z-fighting
+      const record = { userData: { q, r, hexId, height: 0.01 }, instanceId };
+      this.hexMeshes[hexId] = record;
+      this.instanceHexIds[instanceId] = hexId;
 
-      // Move to first corner
-      hexShape.moveTo(corners[0].x, corners[0].z);
+      this.setInstanceHeight(record);
+      this.topMesh.setColorAt(instanceId, this.cobbleTopMaterial.color);
+    });
 
-      // Draw lines to each corner
-      for (let i = 1; i < corners.length; i++) {
-        hexShape.lineTo(corners[i].x, corners[i].z);
-      }
+    this.syncInstances();
+
+    this.scene.add(this.topMesh);
+    this.scene.add(this.sideMesh);
+  }
 
-      // Close the shape
-      hexShape.lineTo(corners[0].x, corners[0].z);
+  /**
+   * Write a hex's position and height into both instanced meshes
+   * @param {Object} hex - Hex record from hexMeshes
+   */
+  setInstanceHeight(hex) {
+    const { q, r, height } = hex.userData;
+    const position = this.hexUtils.getObjectPosition(q, r, 0);
 
-      // Create geometry from shape
-      const geometry = new THREE.ShapeGeometry(hexShape);
+    this.instanceMatrix = this.instanceMatrix || new THREE.Matrix4();
+    this.instanceMatrix.makeScale(1, height || 0.01, 1);
+    this.instanceMatrix.setPosition(position);
 
-      // Rotate to lie flat on xz plane
-      geometry.rotateX(-Math.PI / 2);
+    this.topMesh.setMatrixAt(hex.instanceId, this.instanceMatrix);
+    this.sideMesh.setMatrixAt(hex.instanceId, this.instanceMatrix);
+  }
 
-      // Create mesh with textured material
-      const material = this.cobbleTopMaterial.clone();
-      const mesh = new THREE.Mesh(geometry, material);
+  /**
+   * Refresh the top color of a hex from its selection, hover and custom color
+   * @param {Object} hex - Hex record from hexMeshes
+   */
+  refreshHexColor(hex) {
+    if (!hex) return;
 
-      // Position slightly above the ground plane to avoid z-fighting
-      mesh.position.y = 0.01;
+    let color;
+    if (hex === this.selectedHex) {
+      color = this.selectedMaterial.color;
+    } else if (hex === this.hoverHex) {
+      color = this.hoverMaterial.color;
+    } else {
+      color = hex.userData.customColor || this.cobbleTopMaterial.color;
+    }
 
-      // Store hex data
-      mesh.userData = { q, r, hexId, height: 0.01 };
+    this.topMesh.setColorAt(hex.instanceId, color);
+    this.topMesh.instanceColor.needsUpdate = true;
+  }
 
-      // Add to scene and store reference
-      this.scene.add(mesh);
-      this.hexMeshes[hexId] = mesh;
+  /**
+   * Upload changed instance matrices and refresh the bounds used for raycasting
+   */
+  syncInstances() {
+    [this.topMesh, this.sideMesh].forEach(mesh => {
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.computeBoundingSphere();
     });
+
+    if (this.topMesh.instanceColor) {
+      this.topMesh.instanceColor.needsUpdate = true;
+    }
   }
 
   /**
-   * Handle mouse/touch movement for hex highlighting
+   * Find the hex under the pointer
    * @param {THREE.Vector2} pointerPosition - Normalized mouse/touch position
    * @param {THREE.Camera} camera - Current camera
-   * @param {boolean} isDragging - Whether we are currently in a drag operation
+   * @returns {Object|null} Hex record from hexMeshes, or null if no hex is hit
    */
-  handleMouseMove(pointerPosition, camera, isDragging = false) {
-    // Skip hover effects completely for mobile devices and during dragging
-    if (this.detectMobile() || isDragging) {
-      // Clear any existing hover state
-      if (this.hoverHex && this.hoverHex !== this.selectedHex) {
-        if (Array.isArray(this.hoverHex.material)) {
-          // For multi-material meshes, restore texture to top face
-          this.hoverHex.material[0] = this.cobbleTopMaterial.clone();
-        } else {
-          // Single material fallback
-          this.hoverHex.material = this.cobbleTopMaterial.clone();
-        }
-        this.hoverHex = null;
-      }
-      return null;
-    }
-
+  pickHex(pointerPosition, camera) {
     this.raycaster.setFromCamera(pointerPosition, camera);
 
-    // Find intersections
-    const intersects = this.raycaster.intersectObjects(Object.values(this.hexMeshes));
-
-    // Clear previous hover (but not if it's the selected hex)
-    if (this.hoverHex && this.hoverHex !== this.selectedHex) {
-      if (Array.isArray(this.hoverHex.material)) {
-        // For multi-material meshes, restore texture to top face
-        this.hoverHex.material[0] = this.cobbleTopMaterial.clone();
+    const intersects = this.raycaster.intersectObjects([this.topMesh, this.sideMesh], false);
+    if (intersects.length === 0) return null;
 
-        // If this hex has a custom color, apply it
-        if (this.hoverHex.userData.customColor) {
-          this.hoverHex.material[0].color.set(this.hoverHex.userData.customColor);
-        }
-      } else {
-        // Single material fallback
-        this.hoverHex.material = this.cobbleTopMaterial.clone();
-
-        // If this hex has a custom color, apply it
-        if (this.hoverHex.userData.customColor) {
-          this.hoverHex.material.color.set(this.hoverHex.userData.customColor);
-        }
-      }
-    }
-
-    // Set new hover - but only on desktop
-    if (intersects.length > 0) {
-      const hex = intersects[0].object;
-
-      if (hex !== this.selectedHex) {
-        if (Array.isArray(hex.material)) {
-          // For multi-material meshes, apply hover color to top face
-          // Save current color first if needed
-          if (!hex.userData.customColor && hex.material[0].color) {
-            hex.userData.customColor = hex.material[0].color.clone();
-          }
-
-          // Apply hover color
-          hex.material[0].color.copy(this.hoverMaterial.color);
-        } else {
-          // Save current color first if needed
-          if (!hex.userData.customColor && hex.material.color) {
-            hex.userData.customColor = hex.material.color.clone();
-          }
-
-          // Apply hover material
-          hex.material = this.hoverMaterial.clone();
-        }
-        this.hoverHex = hex;
-      }
+    return this.hexMeshes[this.instanceHexIds[intersects[0].instanceId]] || null;
+  }
 
-      return hex;
+  /**
+   * Handle mouse/touch movement for hex highlighting
+   * @param {THREE.Vector2} pointerPosition - Normalized mouse/touch position
+   * @param {THREE.Camera} camera - Current camera
+   * @param {boolean} isDragging - Whether we are currently in a drag operation
+   */
+  handleMouseMove(pointerPosition, camera, isDragging = false) {
+    // Skip hover effects completely for mobile devices and during dragging
+    const hex = this.detectMobile() || isDragging ? null : this.pickHex(pointerPosition, camera);
+
+    if (hex !== this.hoverHex) {
+      // Clear previous hover; the selected hex keeps its selection color
+      const previous = this.hoverHex;
+      this.hoverHex = hex;
+      this.refreshHexColor(previous);
+      this.refreshHexColor(hex);
+      this.broadcastPresence();
     }
 
-    this.hoverHex = null;
-    return null;
+    return hex;
   }
 
   /**
@@ -536,77 +570,260 @@ class HexGrid {
  * @returns {Object|null} Selected hex data or null if no hex was clicked
  */
   handleClick(pointerPosition, camera) {
-    this.raycaster.setFromCamera(pointerPosition, camera);
-
     // Add some tolerance for touch input
     if (this.detectMobile()) {
       this.raycaster.params.Line.threshold = 0.1;
       this.raycaster.params.Points.threshold = 0.1;
     }
 
-    // Find intersections
-    const intersects = this.raycaster.intersectObjects(Object.values(this.hexMeshes));
+    const hex = this.pickHex(pointerPosition, camera);
 
-    // Clear previous selection visual (but maintain selected hex)
-    if (this.selectedHex) {
-      if (Array.isArray(this.selectedHex.material)) {
-        // For multi-material meshes, restore texture to top face
-        this.selectedHex.material[0] = this.cobbleTopMaterial.clone();
+    // Clear previous selection visual, then select whatever was clicked (or nothing)
+    const previous = this.selectedHex;
+    this.selectedHex = hex;
+    this.refreshHexColor(previous);
+    if (hex !== previous) this.broadcastPresence();
 
-        // If this hex has a custom color, apply it
-        if (this.selectedHex.userData.customColor) {
-          this.selectedHex.material[0].color.set(this.selectedHex.userData.customColor);
-        }
-      } else {
-        // Single material fallback
-        this.selectedHex.material = this.cobbleTopMaterial.clone();
+    if (!hex) {
+      return null;
+    }
 
-        // If this hex has a custom color, apply it
-        if (this.selectedHex.userData.customColor) {
-          this.selectedHex.material.color.set(this.selectedHex.userData.customColor);
-        }
-      }
+    this.refreshHexColor(hex);
+
+    // Add this for debugging marker
+    this.createHexCenterMarker(hex.userData.hexId);
+
+    // Return the hex data with preserved height
+    return {
+      hexId: hex.userData.hexId,
+      q: hex.userData.q,
+      r: hex.userData.r,
+      height: hex.userData.height || 0.01 // Preserve height information
+    };
+  }
+
+  /**
+   * Select a hex by ID rather than by clicking it
+   * @param {string} hexId - ID of the hex to select
+   * @returns {Object|null} The selected hex, or null if it isn't on the grid
+   */
+  selectHex(hexId) {
+    const hex = this.hexMeshes[hexId] || null;
+    const previous = this.selectedHex;
+    this.selectedHex = hex;
+    this.refreshHexColor(previous);
+    this.refreshHexColor(hex);
+    if (hex !== previous) this.broadcastPresence();
+
+    return hex;
+  }
+
+  /**
+   * Tell the rest of the room which hexes we're hovering and have selected
+   */
+  broadcastPresence() {
+    if (!this.currentRoomCode || !this.socketManager) return;
+
+    this.socketManager.sendPresence(this.currentRoomCode, {
+      hover: this.hoverHex ? this.hoverHex.userData.hexId : null,
+      selected: this.selectedHex ? this.selectedHex.userData.hexId : null
+    });
+  }
+
+  /**
+   * Get the height of a hex
+   * @param {string} hexId - ID of the hex
+   * @returns {number|undefined} Height, or undefined if the hex isn't on the grid
+   */
+  getHexHeight(hexId) {
+    const hex = this.hexMeshes[hexId];
+    return hex ? hex.userData.height : undefined;
+  }
+
+  /**
+   * Get the top colour of a hex, ignoring selection and hover
+   * @param {string} hexId - ID of the hex
+   * @returns {string|undefined} Colour as #rrggbb, or undefined if the hex isn't on the grid
+   */
+  getHexColor(hexId) {
+    const hex = this.hexMeshes[hexId];
+    if (!hex) return undefined;
+
+    return '#' + (hex.userData.customColor || this.cobbleTopMaterial.color).getHexString();
+  }
+
+  /**
+   * Find the connected region a flood fill from a hex would cover
+   * @param {string} fromHexId - ID of the hex the fill starts from
+   * @param {Object} options - Fill options, see FloodFill.fill
+   * @returns {Array<string>} IDs of the hexes in the region
+   */
+  getFillRegion(fromHexId, options = {}) {
+    return this.floodFill.fill(this.hexUtils.parseHexId(fromHexId), options);
+  }
+
+  /**
+   * Find a path between two hexes that respects the current column heights
+   * @param {string} fromHexId - ID of the start hex
+   * @param {string} toHexId - ID of the goal hex
+   * @param {Object} options - Path options
+   * @param {number} [options.maxClimb] - Largest height difference allowed in one step
+   * @param {Function} [options.cost] - Custom step cost, see HexUtils.findPath
+   * @returns {Array|null} Array of {q, r} from start to goal, or null if unreachable
+   */
+  findPath(fromHexId, toHexId, options = {}) {
+    return this.hexUtils.findPath(
+      this.hexUtils.parseHexId(fromHexId),
+      this.hexUtils.parseHexId(toHexId),
+      { ...options, getHeight: (hexId) => this.getHexHeight(hexId) }
+    );
+  }
+
+  /**
+   * Get every hex reachable from a hex within a number of moves
+   * @param {string} fromHexId - ID of the start hex
+   * @param {number} moves - Movement budget
+   * @param {Object} options - Same options as findPath
+   * @returns {Array} Array of {q, r, cost} objects
+   */
+  getReachableHexes(fromHexId, moves, options = {}) {
+    return this.hexUtils.reachable(
+      this.hexUtils.parseHexId(fromHexId),
+      moves,
+      { ...options, getHeight: (hexId) => this.getHexHeight(hexId) }
+    );
+  }
+
+  /**
+   * Create an outline that sits on top of a hex column
+   * @param {string} hexId - ID of the hex
+   * @param {number} color - Outline color
+   * @param {number} [lift=0.02] - Distance above the column top, avoids z-fighting
+   * @returns {THREE.LineLoop|null} The outline (not yet added to the scene)
+   */
+  createHexOutline(hexId, color, lift = 0.02) {
+    const hex = this.hexMeshes[hexId];
+    if (!hex) return null;
+
+    const { q, r, height } = hex.userData;
+    const y = (height || 0) + lift;
+
+    // Corner z values are in shape space, which is mirrored relative to world z
+    const points = this.hexUtils.getHexCorners(q, r).map(corner => new THREE.Vector3(corner.x, y, -corner.z));
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+
+    return new THREE.LineLoop(geometry, new THREE.LineBasicMaterial({ color }));
+  }
+
+  /**
+   * Dispose of every object in an overlay group and empty it
+   * @param {THREE.Group} group - Overlay group to clear
+   */
+  clearOverlayGroup(group) {
+    group.children.slice().forEach(child => {
+      group.remove(child);
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+
+  /**
+   * Draw a path as outlined hexes joined by a line across the column tops
+   * @param {Array} path - Array of {q, r} objects
+   * @param {Array} [reachable] - Optional array of {q, r} objects to show as the movement range
+   */
+  showPath(path, reachable = []) {
+    if (!this.pathGroup) {
+      this.pathGroup = new THREE.Group();
+      this.scene.add(this.pathGroup);
     }
+    this.clearOverlayGroup(this.pathGroup);
 
-    // If we clicked on a hex, select it
-    if (intersects.length > 0) {
-      const hex = intersects[0].object;
+    // Movement range first so the path draws over it
+    reachable.forEach(({ q, r }) => {
+      const outline = this.createHexOutline(this.hexUtils.getHexId(q, r), 0x3498db, 0.03);
+      if (outline) this.pathGroup.add(outline);
+    });
 
-      // Apply selection material
-      if (Array.isArray(hex.material)) {
-        // For multi-material meshes, set selection color on top face
-        // Save current color first if needed
-        if (!hex.userData.customColor && hex.material[0].color) {
-          hex.userData.customColor = hex.material[0].color.clone();
-        }
+    if (!path || path.length === 0) return;
 
-        // Apply selection color
-        hex.material[0].color.copy(this.selectedMaterial.color);
-      } else {
-        // Save current color first if needed
-        if (!hex.userData.customColor && hex.material.color) {
-          hex.userData.customColor = hex.material.color.clone();
-        }
+    const points = path.map(({ q, r }) => {
+      const hexId = this.hexUtils.getHexId(q, r);
+      const outline = this.createHexOutline(hexId, 0xf1c40f, 0.05);
+      if (outline) this.pathGroup.add(outline);
+
+      return this.hexUtils.getObjectPosition(q, r, (this.getHexHeight(hexId) || 0) + 0.1);
+    });
 
-        // Apply selection material
-        hex.material = this.selectedMaterial.clone();
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineBasicMaterial({ color: 0xf1c40f })
+    );
+    this.pathGroup.add(line);
+  }
+
+  /**
+   * Remove any drawn path
+   */
+  clearPath() {
+    if (this.pathGroup) {
+      this.clearOverlayGroup(this.pathGroup);
+    }
+  }
+
+  /**
+   * Get every hex visible from a hex
+   * @param {string} fromHexId - ID of the hex the viewer stands on
+   * @param {number} eyeHeight - Height of the eye above the column top
+   * @returns {Set<string>} IDs of the visible hexes
+   */
+  getVisibleHexes(fromHexId, eyeHeight = 1.5) {
+    return this.visibility.visibleFrom(this.hexUtils.parseHexId(fromHexId), eyeHeight, this.gridExtent * 2);
+  }
+
+  /**
+   * Darken the tops of a set of hexes, replacing any previous shading
+   * @param {Array<string>} hexIds - IDs of the hexes to shade
+   */
+  shadeHexes(hexIds) {
+    this.clearShading();
+
+    // Build one triangle fan per hex into a single geometry so shading is one draw call
+    const positions = [];
+    hexIds.forEach(hexId => {
+      const hex = this.hexMeshes[hexId];
+      if (!hex) return;
+
+      const { q, r, height } = hex.userData;
+      const center = this.hexUtils.getObjectPosition(q, r, (height || 0) + 0.03);
+      const corners = this.hexUtils.getHexCorners(q, r);
+
+      for (let i = 0; i < 6; i++) {
+        const a = corners[i];
+        const b = corners[(i + 1) % 6];
+        positions.push(
+          center.x, center.y, center.z,
+          a.x, center.y, -a.z,
+          b.x, center.y, -b.z
+        );
       }
-      this.selectedHex = hex;
+    });
 
-      // Add this for debugging marker
-      this.createHexCenterMarker(hex.userData.hexId);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
 
-      // Return the hex data with preserved height
-      return {
-        hexId: hex.userData.hexId,
-        q: hex.userData.q,
-        r: hex.userData.r,
-        height: hex.userData.height || 0.01 // Preserve height information
-      };
-    } else {
-      // If we clicked elsewhere, clear selection
-      this.selectedHex = null;
-      return null;
+    this.shadeMesh = new THREE.Mesh(geometry, this.shadeMaterial);
+    this.scene.add(this.shadeMesh);
+  }
+
+  /**
+   * Remove any hex shading
+   */
+  clearShading() {
+    if (this.shadeMesh) {
+      this.scene.remove(this.shadeMesh);
+      this.shadeMesh.geometry.dispose();
+      this.shadeMesh = null;
     }
   }
 
@@ -630,56 +847,39 @@ class HexGrid {
   /**
    * Update a hex's appearance based on its state
    * @param {string} hexId - Hex ID
-   * @param {Object} state - New state data
+   * @param {Object} state - New state data; null fields are reset to their defaults
    */
   updateHexState(hexId, state) {
     const hex = this.hexMeshes[hexId];
     if (!hex) return;
 
-    // Keep track if this is the currently selected hex
-    const wasSelected = hex === this.selectedHex;
-    const wasHover = hex === this.hoverHex;
+    // Remember the synced state so a resync can tell what changed
+    const synced = { ...this.hexStates[hexId] };
+    HEX_STATE_FIELDS.forEach(field => {
+      if (state[field] === null) {
+        delete synced[field];
+      } else if (state[field] !== undefined) {
+        synced[field] = state[field];
+      }
+    });
+    this.hexStates[hexId] = synced;
 
-    // Store current height or use default if not available
-    const currentHeight = hex.userData.height || 0.01;
+    // A null color clears the hex back to its default texture color
+    if (state.color === null) {
+      delete hex.userData.customColor;
+      this.refreshHexColor(hex);
+    }
 
     // Apply color change if specified
     if (state.color) {
-      const newColor = new THREE.Color(state.color);
-
       // Store the color in userData for future reference
-      hex.userData.customColor = newColor.clone();
-
-
-      // Apply color to materials
-      if (Array.isArray(hex.material)) {
-        // For extruded hexes with multiple materials
-        hex.material[0].color.copy(newColor);
-
-        // Log for debugging
-        console.log(`Applied color ${state.color} to hex ${hexId} (multi-material)`);
-      } else {
-        // For flat hexes with single material
-        hex.material.color.copy(newColor);
-
-        // Log for debugging
-        console.log(`Applied color ${state.color} to hex ${hexId} (single material)`);
-      }
+      hex.userData.customColor = new THREE.Color(state.color);
+      this.refreshHexColor(hex);
+    }
 
-      // With our new material setup, we need to handle multi-material objects
-      if (hex.material.length) {
-        // First material is the top face
-        const topMaterial = hex.material[0];
-        topMaterial.color.set(state.color);
-      } else {
-        // For flat hexes or fallbacks
-        const newMaterial = wasSelected ?
-          this.selectedMaterial.clone() :
-          (wasHover ? this.hoverMaterial.clone() : this.defaultMaterial.clone());
-
-        newMaterial.color.set(state.color);
-        hex.material = newMaterial;
-      }
+    // A null voxel model removes whatever model is on the hex
+    if (state.voxelModel === null) {
+      this.removeVoxelModel(hexId);
     }
 
     // Handle voxel model data if present
@@ -709,13 +909,18 @@ class HexGrid {
       }
     }
 
-    // Then handle extrusion if height is specified
+    // Then handle extrusion if height is specified (null flattens the hex)
     if (state.height !== undefined) {
+      const height = state.height === null ? 0.01 : state.height;
+
       // Store the new height in user data
-      hex.userData.height = state.height;
+      hex.userData.height = height;
 
       // Extrude the hex to create a 3D column
-      this.extrudeHex(hex, state.height);
+      this.extrudeHex(hex, height);
+      if (!this.batchingUpdates) {
+        this.syncInstances();
+      }
 
       // Update any voxel model that might be on this hex
       this.updateVoxelModel(hexId);
@@ -727,104 +932,17 @@ class HexGrid {
 
   /**
    * Extrude a hex to create a 3D column
-   * @param {THREE.Mesh} hexMesh - The hex mesh to extrude
+   * Call syncInstances afterwards to upload the change
+   * @param {Object} hex - Hex record from hexMeshes
    * @param {number} height - The height to extrude to
    */
-  extrudeHex(hexMesh, height) {
-    const { q, r } = hexMesh.userData;
-    const hexId = hexMesh.userData.hexId;
-
-    // Store selection state and material
-    const wasSelected = hexMesh === this.selectedHex;
-    const wasHover = hexMesh === this.hoverHex;
-
-    // Get current color - check various places the color might be stored
-    let currentColor;
-
-    // First check userData for stored custom color
-    if (hexMesh.userData.customColor) {
-      currentColor = hexMesh.userData.customColor.clone();
-    }
-    // Then check the top material if it's a multi-material mesh
-    else if (Array.isArray(hexMesh.material) && hexMesh.material[0] && hexMesh.material[0].color) {
-      currentColor = hexMesh.material[0].color.clone();
-    }
-    // Finally check if it's a single material
-    else if (hexMesh.material && hexMesh.material.color) {
-      currentColor = hexMesh.material.color.clone();
-    }
-    // Default fallback
-    else {
-      currentColor = new THREE.Color(0x3498db);
-    }
-
-    // Remove old mesh
-    this.scene.remove(hexMesh);
-
-    // Create corners
-    const corners = this.hexUtils.getHexCorners(q, r);
-
-    // Create extruded geometry
-    const shape = new THREE.Shape();
-    shape.moveTo(corners[0].x, corners[0].z);
-    for (let i = 1; i < corners.length; i++) {
-      shape.lineTo(corners[i].x, corners[i].z);
-    }
-    shape.lineTo(corners[0].x, corners[0].z);
-
-    // Extrusion settings
-    const extrudeSettings = {
-      steps: 1,
-      depth: height,
-      bevelEnabled: false
-    };
-
-    // Create extruded geometry
-    const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-
-    // Rotate to correct orientation (extrude along Y axis)
-    geometry.rotateX(-Math.PI / 2);
-
-    // Create materials array for different faces
-    const sideMaterial = this.cobbleMaterial.clone();
-
-    // Create top material with preserved color
-    const topMaterial = this.cobbleTopMaterial.clone();
-    topMaterial.color.copy(currentColor);
-
-    // Create materials array - index 0 is top face, index 1 is sides
-    const materials = [topMaterial, sideMaterial];
-
-    // Create mesh with material array
-    const newMesh = new THREE.Mesh(geometry, materials);
-
-    // Copy user data, including height AND store color
-    newMesh.userData = {
-      q,
-      r,
-      hexId,
-      height,
-      customColor: currentColor.clone() // Important: Store the color in userData
-    };
-
-    // Add to scene
-    this.scene.add(newMesh);
-
-    // Store reference to replace the old one
-    this.hexMeshes[hexId] = newMesh;
-
-    // Restore selection state if needed
-    if (wasSelected) {
-      this.selectedHex = newMesh;
-    }
-
-    if (wasHover) {
-      this.hoverHex = newMesh;
-    }
+  extrudeHex(hex, height) {
+    hex.userData.height = height;
+    this.setInstanceHeight(hex);
 
     // Ensure models update with the new hex height
-    if (this.voxelModels[hexId]) {
-      this.updateVoxelModelPosition(hexId);
+    if (this.voxelModels[hex.userData.hexId]) {
+      this.updateVoxelModelPosition(hex.userData.hexId);
     }
   }
 
@@ -1,3 +1,65 @@
+// Axial offsets of the six neighbours of a hex
+const AXIAL_DIRECTIONS = [
+  { q: 1, r: 0 },
+  { q: 1, r: -1 },
+  { q: 0, r: -1 },
+  { q: -1, r: 0 },
+  { q: -1, r: 1 },
+  { q: 0, r: 1 }
+];
+
+/**
+ * Minimal binary heap used as the open set for path searches
+ */
+class PriorityQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    this.items.push({ value, priority });
+    let index = this.items.length - 1;
+
+    // Bubble up
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.items[parent].priority <= this.items[index].priority) break;
+      [this.items[parent], this.items[index]] = [this.items[index], this.items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let index = 0;
+
+      // Sink down
+      while (true) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+
+        if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) smallest = left;
+        if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) smallest = right;
+        if (smallest === index) break;
+
+        [this.items[smallest], this.items[index]] = [this.items[index], this.items[smallest]];
+        index = smallest;
+      }
+    }
+
+    return top.value;
+  }
+}
+
 /**
  * Utility functions for hexagonal grid calculations
  * Using axial coordinate system (q,r)
@@ -113,6 +175,247 @@ class HexUtils {
     return results;
   }
 
+  /**
+   * Get the six neighbours of a hex
+   * @param {number} q - q coordinate
+   * @param {number} r - r coordinate
+   * @returns {Array} Array of {q, r} objects
+   */
+  neighbors(q, r) {
+    return AXIAL_DIRECTIONS.map(dir => ({ q: q + dir.q, r: r + dir.r }));
+  }
+
+  /**
+   * Get the number of steps between two hexes
+   * @param {Object} a - First hex {q, r}
+   * @param {Object} b - Second hex {q, r}
+   * @returns {number} Distance in hex steps
+   */
+  distance(a, b) {
+    const dq = a.q - b.q;
+    const dr = a.r - b.r;
+    return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+  }
+
+  /**
+   * Get the hexes exactly a given distance from a center hex
+   * @param {Object} center - Center hex {q, r}
+   * @param {number} radius - Ring radius (0 returns just the center)
+   * @returns {Array} Array of {q, r} objects, walking around the ring
+   */
+  ring(center, radius) {
+    if (radius === 0) return [{ q: center.q, r: center.r }];
+
+    const results = [];
+
+    // Start at the hex radius steps along direction 4, then walk each side
+    let q = center.q + AXIAL_DIRECTIONS[4].q * radius;
+    let r = center.r + AXIAL_DIRECTIONS[4].r * radius;
+
+    for (let side = 0; side < 6; side++) {
+      for (let step = 0; step < radius; step++) {
+        results.push({ q, r });
+        q += AXIAL_DIRECTIONS[side].q;
+        r += AXIAL_DIRECTIONS[side].r;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get all hexes within a radius, ordered ring by ring from the center out
+   * @param {Object} center - Center hex {q, r}
+   * @param {number} radius - Radius (in hex units)
+   * @returns {Array} Array of {q, r} objects
+   */
+  spiral(center, radius) {
+    const results = [];
+    for (let k = 0; k <= radius; k++) {
+      results.push(...this.ring(center, k));
+    }
+    return results;
+  }
+
+  /**
+   * Get the hexes on a straight line between two hexes
+   * @param {Object} a - Start hex {q, r}
+   * @param {Object} b - End hex {q, r}
+   * @returns {Array} Array of {q, r} objects including both ends
+   */
+  line(a, b) {
+    const steps = this.distance(a, b);
+    if (steps === 0) return [{ q: a.q, r: a.r }];
+
+    const results = [];
+
+    // Nudge the end point slightly so points exactly on a hex edge round consistently
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      const q = a.q + (b.q - a.q) * t + 1e-6;
+      const r = a.r + (b.r - a.r) * t + 1e-6;
+      results.push(this.roundAxial(q, r));
+    }
+
+    return results;
+  }
+
+  /**
+   * Rotate a hex around a center hex in 60° steps. Each step turns the cube
+   * coordinates (q, r, s) of the offset from the center into (-r, -s, -q),
+   * which is a 60° turn anticlockwise seen from above.
+   * @param {Object} hex - Hex to rotate {q, r}
+   * @param {Object} center - Hex to rotate around {q, r}
+   * @param {number} steps - Number of 60° steps; negative steps turn the other way
+   * @returns {Object} Rotated hex {q, r}
+   */
+  rotate(hex, center, steps) {
+    let q = hex.q - center.q;
+    let r = hex.r - center.r;
+
+    for (let i = 0; i < ((steps % 6) + 6) % 6; i++) {
+      [q, r] = [-r, q + r];
+    }
+
+    return { q: center.q + q, r: center.r + r };
+  }
+
+  /**
+   * Mirror a hex across one of the three hex axes through a center hex. The
+   * named cube coordinate is kept and the other two are swapped.
+   * @param {Object} hex - Hex to mirror {q, r}
+   * @param {Object} center - Hex the axis runs through {q, r}
+   * @param {string} [axis='q'] - 'q', 'r' or 's'
+   * @returns {Object} Mirrored hex {q, r}
+   */
+  reflect(hex, center, axis = 'q') {
+    const q = hex.q - center.q;
+    const r = hex.r - center.r;
+    const s = -q - r;
+
+    const mirrored = {
+      q: { q, r: s },
+      r: { q: s, r },
+      s: { q: r, r: q }
+    }[axis];
+    if (!mirrored) throw new Error(`Unknown hex axis: ${axis}`);
+
+    return { q: center.q + mirrored.q, r: center.r + mirrored.r };
+  }
+
+  /**
+   * Find the cheapest path between two hexes using A*
+   * @param {Object} start - Start hex {q, r}
+   * @param {Object} goal - Goal hex {q, r}
+   * @param {Object} options - Search options
+   * @param {Function} options.getHeight - Returns the height of a hex ID, or undefined if the hex is not on the grid
+   * @param {number} [options.maxClimb=Infinity] - Largest height difference allowed in one step
+   * @param {Function} [options.cost] - Cost of a step (from, to, fromHeight, toHeight); return Infinity to block it. Must be at least 1.
+   * @returns {Array|null} Array of {q, r} from start to goal, or null if the goal can't be reached
+   */
+  findPath(start, goal, options = {}) {
+    const startId = this.getHexId(start.q, start.r);
+    const goalId = this.getHexId(goal.q, goal.r);
+    const getHeight = options.getHeight || (() => 0);
+
+    if (getHeight(startId) === undefined || getHeight(goalId) === undefined) return null;
+
+    const open = new PriorityQueue();
+    const cameFrom = {};
+    const costSoFar = { [startId]: 0 };
+
+    open.push(start, this.distance(start, goal));
+
+    while (open.size > 0) {
+      const current = open.pop();
+      const currentId = this.getHexId(current.q, current.r);
+
+      if (currentId === goalId) {
+        // Walk back from the goal to rebuild the path
+        const path = [];
+        let id = goalId;
+        while (id !== undefined) {
+          path.unshift(this.parseHexId(id));
+          id = cameFrom[id];
+        }
+        return path;
+      }
+
+      for (const next of this.neighbors(current.q, current.r)) {
+        const stepCost = this.getStepCost(current, next, options);
+        if (stepCost === Infinity) continue;
+
+        const nextId = this.getHexId(next.q, next.r);
+        const newCost = costSoFar[currentId] + stepCost;
+
+        if (costSoFar[nextId] === undefined || newCost < costSoFar[nextId]) {
+          costSoFar[nextId] = newCost;
+          cameFrom[nextId] = currentId;
+          open.push(next, newCost + this.distance(next, goal));
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get every hex that can be reached within a movement budget
+   * @param {Object} start - Start hex {q, r}
+   * @param {number} maxCost - Movement budget (in steps when using the default cost)
+   * @param {Object} options - Same options as findPath
+   * @returns {Array} Array of {q, r, cost} objects, including the start hex
+   */
+  reachable(start, maxCost, options = {}) {
+    const startId = this.getHexId(start.q, start.r);
+    const getHeight = options.getHeight || (() => 0);
+    if (getHeight(startId) === undefined) return [];
+
+    const open = new PriorityQueue();
+    const costSoFar = { [startId]: 0 };
+
+    open.push(start, 0);
+
+    while (open.size > 0) {
+      const current = open.pop();
+      const currentId = this.getHexId(current.q, current.r);
+
+      for (const next of this.neighbors(current.q, current.r)) {
+        const newCost = costSoFar[currentId] + this.getStepCost(current, next, options);
+        if (newCost > maxCost) continue;
+
+        const nextId = this.getHexId(next.q, next.r);
+        if (costSoFar[nextId] === undefined || newCost < costSoFar[nextId]) {
+          costSoFar[nextId] = newCost;
+          open.push(next, newCost);
+        }
+      }
+    }
+
+    return Object.keys(costSoFar).map(id => ({ ...this.parseHexId(id), cost: costSoFar[id] }));
+  }
+
+  /**
+   * Get the cost of stepping between two neighbouring hexes
+   * @param {Object} from - Hex stepped from {q, r}
+   * @param {Object} to - Hex stepped to {q, r}
+   * @param {Object} options - Same options as findPath
+   * @returns {number} Step cost, or Infinity if the step isn't allowed
+   */
+  getStepCost(from, to, options) {
+    const getHeight = options.getHeight || (() => 0);
+    const maxClimb = options.maxClimb !== undefined ? options.maxClimb : Infinity;
+
+    const fromHeight = getHeight(this.getHexId(from.q, from.r));
+    const toHeight = getHeight(this.getHexId(to.q, to.r));
+
+    // Off the grid, or too steep to climb
+    if (toHeight === undefined) return Infinity;
+    if (Math.abs(toHeight - fromHeight) > maxClimb) return Infinity;
+
+    return options.cost ? options.cost(from, to, fromHeight, toHeight) : 1;
+  }
+
   /**
    * Get a unique ID for a hex based on its coordinates
    * @param {number} q - q coordinate
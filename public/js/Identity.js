@@ -0,0 +1,113 @@
+// localStorage keys for the session token, the chosen profile and recent colours
+const TOKEN_KEY = 'hexgrid.sessionToken';
+const PROFILE_KEY = 'hexgrid.profile';
+const RECENT_COLORS_KEY = 'hexgrid.recentColors';
+
+// Number of recently painted colours remembered
+const MAX_RECENT_COLORS = 8;
+
+/**
+ * Identity keeps the client's session token and chosen profile between visits.
+ *
+ * The token is sent when the socket connects and the server turns it into a
+ * stable user ID, so reloading the page or reconnecting keeps the same user.
+ * The token is never shown to other users. The colours we last painted with
+ * are kept here too, so they survive reloads and follow us between rooms.
+ */
+class Identity {
+  /**
+   * @param {Storage} storage - Where to keep the token and profile
+   */
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.token = this.read(TOKEN_KEY);
+
+    if (!this.token) {
+      this.token = this.generateToken();
+      this.write(TOKEN_KEY, this.token);
+    }
+
+    try {
+      this.profile = JSON.parse(this.read(PROFILE_KEY)) || {};
+    } catch (error) {
+      this.profile = {};
+    }
+
+    try {
+      const recentColors = JSON.parse(this.read(RECENT_COLORS_KEY));
+      this.recentColors = Array.isArray(recentColors) ? recentColors.slice(0, MAX_RECENT_COLORS) : [];
+    } catch (error) {
+      this.recentColors = [];
+    }
+  }
+
+  /**
+   * Generate a random session token
+   * @returns {string} URL-safe token
+   */
+  generateToken() {
+    if (window.crypto && window.crypto.randomUUID) {
+      return window.crypto.randomUUID().replace(/-/g, '');
+    }
+
+    const bytes = new Uint8Array(16);
+    window.crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Get the handshake data sent when the socket connects
+   * @returns {Object} Token plus any saved name and colour
+   */
+  getAuth() {
+    return { token: this.token, ...this.profile };
+  }
+
+  /**
+   * Remember a profile change
+   * @param {Object} profile - Display name and/or colour
+   */
+  saveProfile(profile) {
+    this.profile = { ...this.profile, ...profile };
+    this.write(PROFILE_KEY, JSON.stringify(this.profile));
+  }
+
+  /**
+   * Remember a colour we painted with, most recent first
+   * @param {string} color - Colour (#rrggbb)
+   * @returns {Array<string>} Recent colours, most recent first
+   */
+  addRecentColor(color) {
+    this.recentColors = [color, ...this.recentColors.filter(recent => recent !== color)].slice(0, MAX_RECENT_COLORS);
+    this.write(RECENT_COLORS_KEY, JSON.stringify(this.recentColors));
+    return this.recentColors;
+  }
+
+  /**
+   * Read a value, tolerating storage being unavailable (e.g. private browsing)
+   * @param {string} key - Storage key
+   * @returns {string|null} Stored value
+   */
+  read(key) {
+    try {
+      return this.storage.getItem(key);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Write a value, tolerating storage being unavailable
+   * @param {string} key - Storage key
+   * @param {string} value - Value to store
+   */
+  write(key, value) {
+    try {
+      this.storage.setItem(key, value);
+    } catch (error) {
+      console.warn('Could not save to localStorage:', error);
+    }
+  }
+}
+
+export { Identity };
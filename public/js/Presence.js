@@ -0,0 +1,155 @@
+// Label size in world units, and how far above the column top it floats
+const LABEL_HEIGHT = 0.5;
+const LABEL_LIFT = 1.2;
+
+/**
+ * Presence draws where other users in the room are pointing: an outline in
+ * their colour on the hex they hover, a brighter one on the hex they have
+ * selected, and their name floating above it.
+ */
+class Presence {
+  /**
+   * @param {THREE.Scene} scene - Scene to draw into
+   * @param {HexGrid} hexGrid - Grid the hexes belong to
+   * @param {Function} getUser - Returns { name, color } for a user ID
+   */
+  constructor(scene, hexGrid, getUser) {
+    this.scene = scene;
+    this.hexGrid = hexGrid;
+    this.getUser = getUser;
+    this.entries = {}; // Maps user IDs to { hover, selected, group }
+  }
+
+  /**
+   * Show where a user is pointing, replacing what was shown for them before
+   * @param {string} userId - User ID
+   * @param {Object} presence - { hover, selected } hex IDs, either may be null
+   */
+  setPresence(userId, { hover = null, selected = null }) {
+    this.removeUser(userId);
+    if (!hover && !selected) return;
+
+    const group = new THREE.Group();
+    this.entries[userId] = { hover, selected, group };
+    this.scene.add(group);
+    this.draw(userId);
+  }
+
+  /**
+   * Show everyone's presence, e.g. when joining a room
+   * @param {Object} presence - Maps user IDs to { hover, selected }
+   */
+  setAll(presence) {
+    this.clear();
+    Object.keys(presence || {}).forEach(userId => this.setPresence(userId, presence[userId]));
+  }
+
+  /**
+   * Draw a user's outlines and name label into their group
+   * @param {string} userId - User ID
+   */
+  draw(userId) {
+    const { hover, selected, group } = this.entries[userId];
+    const user = this.getUser(userId) || { name: 'Unknown user', color: '#ffffff' };
+    const color = new THREE.Color(user.color);
+
+    if (hover && hover !== selected) {
+      const outline = this.hexGrid.createHexOutline(hover, color, 0.06);
+      if (outline) {
+        outline.material.transparent = true;
+        outline.material.opacity = 0.5;
+        group.add(outline);
+      }
+    }
+
+    if (selected) {
+      const outline = this.hexGrid.createHexOutline(selected, color, 0.08);
+      if (outline) group.add(outline);
+    }
+
+    // Label the hex they're working on, or failing that the one they point at
+    const labelHexId = selected || hover;
+    const height = this.hexGrid.getHexHeight(labelHexId);
+    if (height === undefined) return;
+
+    const { q, r } = this.hexGrid.hexUtils.parseHexId(labelHexId);
+    const label = this.createLabel(user.name, user.color);
+    label.position.copy(this.hexGrid.hexUtils.getObjectPosition(q, r, height + LABEL_LIFT));
+    group.add(label);
+  }
+
+  /**
+   * Create a sprite showing a user's name
+   * @param {string} name - Text to show
+   * @param {string} color - Text colour (#rrggbb)
+   * @returns {THREE.Sprite} Name label
+   */
+  createLabel(name, color) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const font = '32px sans-serif';
+
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(name).width) + 24;
+    canvas.height = 48;
+
+    // Resizing the canvas resets its state
+    context.font = font;
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = color;
+    context.textBaseline = 'middle';
+    context.fillText(name, 12, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const material = new THREE.SpriteMaterial({ map: texture, depthTest: false });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(LABEL_HEIGHT * canvas.width / canvas.height, LABEL_HEIGHT, 1);
+    sprite.renderOrder = 1;
+
+    return sprite;
+  }
+
+  /**
+   * Redraw everyone, e.g. after column heights or a user's name or colour change
+   */
+  refresh() {
+    Object.keys(this.entries).forEach(userId => {
+      this.disposeGroup(this.entries[userId].group);
+      this.draw(userId);
+    });
+  }
+
+  /**
+   * Stop showing a user, e.g. when they leave the room
+   * @param {string} userId - User ID
+   */
+  removeUser(userId) {
+    const entry = this.entries[userId];
+    if (!entry) return;
+
+    this.disposeGroup(entry.group);
+    this.scene.remove(entry.group);
+    delete this.entries[userId];
+  }
+
+  /**
+   * Stop showing anyone, e.g. when we leave the room or the grid is rebuilt
+   */
+  clear() {
+    Object.keys(this.entries).forEach(userId => this.removeUser(userId));
+  }
+
+  /**
+   * Dispose of and remove everything in a user's group
+   * @param {THREE.Group} group - Group to empty
+   */
+  disposeGroup(group) {
+    group.children.forEach(child => {
+      if (child.material && child.material.map) child.material.map.dispose();
+    });
+    this.hexGrid.clearOverlayGroup(group);
+  }
+}
+
+export { Presence };
@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+
+// Outline colour of selected hexes
+const SELECTION_COLOR = 0x00e5ff;
+
+/**
+ * Selection is the set of hexes the user has picked for bulk operations.
+ *
+ * Hexes can be added one at a time, replaced wholesale, or picked by drawing a
+ * box or lasso on screen. Every selected hex is outlined. Tools that work on
+ * many hexes read the selection from here and can listen for changes to it.
+ */
+class Selection {
+  /**
+   * @param {THREE.Scene} scene - Scene to draw the outlines into
+   * @param {HexGrid} hexGrid - Grid the hexes are selected from
+   */
+  constructor(scene, hexGrid) {
+    this.scene = scene;
+    this.hexGrid = hexGrid;
+
+    this.hexIds = new Set();
+    this.listeners = [];
+    this.outlineGroup = new THREE.Group();
+    this.scene.add(this.outlineGroup);
+  }
+
+  /**
+   * Number of selected hexes
+   * @returns {number} Selection size
+   */
+  get size() {
+    return this.hexIds.size;
+  }
+
+  /**
+   * Check whether a hex is selected
+   * @param {string} hexId - ID of the hex
+   * @returns {boolean} True if it is selected
+   */
+  has(hexId) {
+    return this.hexIds.has(hexId);
+  }
+
+  /**
+   * Get the selected hexes
+   * @returns {Array<string>} IDs of the selected hexes, in the order they were selected
+   */
+  getHexIds() {
+    return Array.from(this.hexIds);
+  }
+
+  /**
+   * Replace the selection
+   * @param {Array<string>} hexIds - IDs of the hexes to select; hexes off the grid are skipped
+   */
+  set(hexIds) {
+    this.hexIds = new Set(hexIds.filter(hexId => this.hexGrid.hexMeshes[hexId]));
+    this.changed();
+  }
+
+  /**
+   * Add hexes to the selection
+   * @param {Array<string>} hexIds - IDs of the hexes to add; hexes off the grid are skipped
+   */
+  add(hexIds) {
+    hexIds.forEach(hexId => {
+      if (this.hexGrid.hexMeshes[hexId]) this.hexIds.add(hexId);
+    });
+    this.changed();
+  }
+
+  /**
+   * Add a hex to the selection, or remove it if it's already selected
+   * @param {string} hexId - ID of the hex
+   * @returns {boolean} True if the hex is now selected
+   */
+  toggle(hexId) {
+    if (this.hexIds.has(hexId)) {
+      this.hexIds.delete(hexId);
+    } else if (this.hexGrid.hexMeshes[hexId]) {
+      this.hexIds.add(hexId);
+    }
+    this.changed();
+
+    return this.hexIds.has(hexId);
+  }
+
+  /**
+   * Deselect every hex
+   */
+  clear() {
+    if (this.hexIds.size === 0) return;
+
+    this.hexIds.clear();
+    this.changed();
+  }
+
+  /**
+   * Listen for changes to the selection
+   * @param {Function} listener - Called with the selected hex IDs whenever they change
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Redraw the outlines and tell the listeners the selection changed
+   */
+  changed() {
+    this.refresh();
+    this.listeners.forEach(listener => listener(this.getHexIds()));
+  }
+
+  /**
+   * Redraw the outlines, e.g. after column heights change
+   */
+  refresh() {
+    this.hexGrid.clearOverlayGroup(this.outlineGroup);
+    this.hexIds.forEach(hexId => {
+      const outline = this.hexGrid.createHexOutline(hexId, SELECTION_COLOR, 0.03);
+      if (outline) this.outlineGroup.add(outline);
+    });
+  }
+
+  /**
+   * Find the hexes whose column tops appear inside a shape drawn on screen
+   * @param {Array<{x: number, y: number}>} polygon - Corners of the shape in normalized device coordinates (-1 to 1)
+   * @param {THREE.Camera} camera - Camera the shape was drawn through
+   * @returns {Array<string>} IDs of the hexes inside the shape
+   */
+  getHexesInScreenPolygon(polygon, camera) {
+    if (polygon.length < 3) return [];
+
+    const { hexUtils } = this.hexGrid;
+    const point = new THREE.Vector3();
+
+    return Object.values(this.hexGrid.hexMeshes)
+      .filter(hex => {
+        const { q, r, height } = hex.userData;
+        point.copy(hexUtils.getObjectPosition(q, r, height || 0)).project(camera);
+
+        // Hexes behind the camera project back onto the screen mirrored
+        if (point.z > 1) return false;
+        return this.isPointInPolygon(point.x, point.y, polygon);
+      })
+      .map(hex => hex.userData.hexId);
+  }
+
+  /**
+   * Check whether a point lies inside a polygon, by counting edge crossings
+   * @param {number} x - Point x
+   * @param {number} y - Point y
+   * @param {Array<{x: number, y: number}>} polygon - Polygon corners, in order
+   * @returns {boolean} True if the point is inside
+   */
+  isPointInPolygon(x, y, polygon) {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+}
+
+export { Selection };
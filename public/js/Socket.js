@@ -1,22 +1,60 @@
+// Most room events kept while offline; older ones are dropped first
+const MAX_PENDING_EVENTS = 200;
+
+// Least time between presence updates; changes in between are merged
+const PRESENCE_INTERVAL_MS = 100;
+
 /**
  * Socket class handles real-time communication with the server
  */
 class SocketManager {
-    constructor() {
-      // Initialize the socket connection
-      this.socket = io();
+    /**
+     * @param {Identity} identity - Session token and profile sent when connecting
+     */
+    constructor(identity) {
+      // Initialize the socket connection; auth is read again on every reconnect
+      this.socket = io({
+        auth: (callback) => callback(identity.getAuth())
+      });
       this.isConnected = false;
+      this.user = null; // Our own user ({ id, name, color }) once the server identifies us
+
+      // Room we're in and the last room version we applied, used to rejoin after a dropped connection
+      this.roomCode = null;
+      this.roomVersion = null;
+      this.isRejoining = false;
+      this.isSpectator = false; // Whether we joined the room only to watch
+      this.roomPassword = null; // Password we joined with, re-sent when rejoining
+      this.pendingEvents = []; // Room events sent while offline, flushed after rejoining
+
+      // Presence is throttled: only the latest update is sent once the interval passes
+      this.pendingPresence = null;
+      this.presenceTimer = null;
+      this.lastPresenceAt = 0;
       
       // Event callbacks
       this.onConnect = null;
       this.onDisconnect = null;
+      this.onConnectionStatus = null;
+      this.onIdentified = null;
+      this.onUserUpdated = null;
       this.onRoomCreated = null;
       this.onRoomJoined = null;
       this.onRoomError = null;
+      this.onPasswordRequired = null;
       this.onUserJoined = null;
       this.onUserLeft = null;
+      this.onRoleChanged = null;
+      this.onKicked = null;
+      this.onSpectatorCount = null;
+      this.onPresence = null;
       this.onHexUpdated = null;
+      this.onHexBatchUpdated = null;
+      this.onTerrainGenerated = null;
+      this.onPaletteUpdated = null;
+      this.onActionError = null;
       this.onChatMessage = null;
+      this.onFocusHex = null;
       
       // Initialize event listeners
       this.initEventListeners();
@@ -30,35 +68,110 @@ class SocketManager {
       this.socket.on('connect', () => {
         console.log('Connected to server');
         this.isConnected = true;
+
+        // Get back into the room we were in; the server resends its state if we missed changes
+        if (this.roomCode) {
+          this.isRejoining = true;
+          this.socket.emit('joinRoom', {
+            roomCode: this.roomCode,
+            version: this.roomVersion,
+            spectator: this.isSpectator,
+            password: this.roomPassword || undefined
+          });
+        } else {
+          this.setConnectionStatus('connected');
+        }
+
         if (this.onConnect) this.onConnect();
       });
       
       this.socket.on('disconnect', () => {
         console.log('Disconnected from server');
         this.isConnected = false;
+        this.setConnectionStatus('reconnecting');
         if (this.onDisconnect) this.onDisconnect();
       });
+
+      this.socket.io.on('reconnect_attempt', (attempt) => {
+        console.log(`Reconnecting (attempt ${attempt})`);
+        this.setConnectionStatus('reconnecting', attempt);
+      });
+
+      this.socket.on('connect_error', (error) => {
+        console.error('Connection refused:', error.message);
+      });
+
+      // Identity events
+      this.socket.on('identified', (user) => {
+        console.log(`Identified as ${user.name} (${user.id})`);
+        this.user = user;
+        if (this.onIdentified) this.onIdentified(user);
+      });
+
+      this.socket.on('userUpdated', (user) => {
+        if (this.user && user.id === this.user.id) this.user = user;
+        if (this.onUserUpdated) this.onUserUpdated(user);
+      });
       
       // Room events
-      this.socket.on('roomCreated', (roomCode) => {
-        console.log(`Room created: ${roomCode}`);
-        if (this.onRoomCreated) this.onRoomCreated(roomCode);
+      this.socket.on('roomCreated', (data) => {
+        console.log(`Room created: ${data.roomCode}`);
+        this.roomCode = data.roomCode;
+        this.roomVersion = data.version;
+        this.isSpectator = false;
+        this.roomPassword = null; // We're the host, so we're let back in without it
+        if (this.onRoomCreated) this.onRoomCreated(data.roomCode, data);
       });
       
       this.socket.on('roomJoined', (data) => {
-        console.log(`Joined room: ${data.roomCode}`);
-        if (this.onRoomJoined) this.onRoomJoined(data.roomCode, data.state);
+        const rejoined = this.isRejoining;
+        console.log(`${rejoined ? 'Rejoined' : 'Joined'} room: ${data.roomCode}${data.upToDate ? ' (up to date)' : ''}`);
+
+        this.roomCode = data.roomCode;
+        this.roomVersion = data.version;
+        this.isRejoining = false;
+        this.isSpectator = !!data.spectator;
+
+        if (this.onRoomJoined) this.onRoomJoined(data.roomCode, data.state, data);
+
+        // Send whatever was done while offline on top of the resynced state
+        if (rejoined) {
+          this.flushPendingEvents();
+          this.setConnectionStatus('connected');
+        }
       });
       
       this.socket.on('roomError', (error) => {
         console.error('Room error:', error);
-        if (this.onRoomError) this.onRoomError(error);
+
+        // The room we were in is gone (e.g. it expired while we were offline)
+        const rejoinFailed = this.isRejoining;
+        if (rejoinFailed) {
+          this.forgetRoom();
+          this.setConnectionStatus('connected');
+        }
+
+        if (this.onRoomError) this.onRoomError(error, { rejoinFailed });
+      });
+
+      this.socket.on('passwordRequired', (data) => {
+        console.log(`Room ${data.roomCode} needs a password: ${data.error}`);
+
+        const rejoinFailed = this.isRejoining;
+        if (rejoinFailed) {
+          this.forgetRoom();
+          this.setConnectionStatus('connected');
+        }
+
+        if (this.onPasswordRequired) {
+          this.onPasswordRequired(data.roomCode, { spectator: data.spectator, error: data.error, rejoinFailed });
+        }
       });
       
       // User events
-      this.socket.on('userJoined', (userId) => {
-        console.log(`User joined: ${userId}`);
-        if (this.onUserJoined) this.onUserJoined(userId);
+      this.socket.on('userJoined', (user) => {
+        console.log(`User joined: ${user.name} (${user.id})`);
+        if (this.onUserJoined) this.onUserJoined(user);
       });
       
       this.socket.on('userLeft', (userId) => {
@@ -66,25 +179,107 @@ class SocketManager {
         if (this.onUserLeft) this.onUserLeft(userId);
       });
       
+      this.socket.on('roleChanged', (data) => {
+        console.log(`User ${data.userId} is now ${data.role}`);
+        if (this.onRoleChanged) this.onRoleChanged(data.userId, data.role);
+      });
+
+      // Presence events
+      this.socket.on('presence', (data) => {
+        if (this.onPresence) this.onPresence(data.userId, data);
+      });
+
+      this.socket.on('spectatorCount', (data) => {
+        if (this.onSpectatorCount) this.onSpectatorCount(data.count);
+      });
+
+      this.socket.on('kicked', (data) => {
+        console.log(`Removed from room: ${data.roomCode}`);
+
+        // Forget the room so we don't try to rejoin it after a reconnect
+        this.forgetRoom();
+
+        if (this.onKicked) this.onKicked(data.roomCode);
+      });
+      
       // Game state events
       this.socket.on('hexUpdated', (data) => {
         // console.log(`Hex updated: ${data.hexId}`, data.action);
-        if (this.onHexUpdated) this.onHexUpdated(data.hexId, data.action);
+        this.roomVersion = data.version;
+        if (this.onHexUpdated) this.onHexUpdated(data.hexId, data.action, data.userId);
+      });
+
+      this.socket.on('hexBatchUpdated', (data) => {
+        console.log(`Hex batch updated: ${data.updates.length} hexes`);
+        this.roomVersion = data.version;
+        if (this.onHexBatchUpdated) this.onHexBatchUpdated(data.updates, data.userId);
+      });
+
+      this.socket.on('terrainGenerated', (data) => {
+        console.log(`Terrain generated with seed ${data.recipe.seed}`);
+        this.roomVersion = data.version;
+        if (this.onTerrainGenerated) this.onTerrainGenerated(data.recipe, data.userId);
+      });
+
+      this.socket.on('paletteUpdated', (data) => {
+        if (this.onPaletteUpdated) this.onPaletteUpdated(data.palette, data.userId);
+      });
+
+      this.socket.on('actionError', (data) => {
+        console.error(`Hex action rejected${data.hexId ? ` for ${data.hexId}` : ''}:`, data.error);
+        if (this.onActionError) this.onActionError(data.hexId, data.error);
       });
       
       // Chat events
       this.socket.on('chatMessage', (data) => {
-        console.log(`Chat message from ${data.userId}: ${data.message}`);
-        if (this.onChatMessage) this.onChatMessage(data.userId, data.message, data.timestamp);
+        console.log(`Chat message from ${data.type === 'system' ? 'the room' : data.userId}: ${data.message}`);
+        if (this.onChatMessage) this.onChatMessage(data);
+      });
+
+      // Sent to us alone, e.g. by the /goto chat command
+      this.socket.on('focusHex', (data) => {
+        if (this.onFocusHex) this.onFocusHex(data.hexId);
       });
     }
     
+    /**
+     * Change our display name and/or colour
+     * @param {Object} profile - New name and/or colour (#rrggbb)
+     */
+    updateProfile(profile) {
+      if (this.isConnected) {
+        this.socket.emit('updateProfile', profile);
+      } else {
+        console.error('Cannot update profile: not connected to server');
+      }
+    }
+    
+    /**
+     * Forget the room we were in, so we don't try to rejoin it after a reconnect
+     */
+    forgetRoom() {
+      this.roomCode = null;
+      this.roomVersion = null;
+      this.roomPassword = null;
+      this.isRejoining = false;
+
+      // Queued events were meant for that room, so fail them rather than
+      // leaving their callers waiting for an answer that won't come
+      const dropped = this.pendingEvents;
+      this.pendingEvents = [];
+      dropped.forEach(({ ack }) => {
+        if (ack) ack({ success: false, error: 'No longer in the room' });
+      });
+    }
+
     /**
      * Create a new room
+     * @param {Object} grid - Grid definition for the room (shape, dimensions, hexSize); missing fields use the defaults
+     * @param {string} [password] - Password others need to join; leave empty for an open room
      */
-    createRoom() {
+    createRoom(grid = {}, password = '') {
       if (this.isConnected) {
-        this.socket.emit('createRoom');
+        this.socket.emit('createRoom', { grid, password: password || undefined });
       } else {
         console.error('Cannot create room: not connected to server');
       }
@@ -93,15 +288,108 @@ class SocketManager {
     /**
      * Join an existing room
      * @param {string} roomCode - Code of the room to join
+     * @param {Object} [options] - Join options
+     * @param {boolean} [options.spectator=false] - Only watch: no editing or chatting
+     * @param {string} [options.password] - Password of a protected room
      */
-    joinRoom(roomCode) {
+    joinRoom(roomCode, { spectator = false, password } = {}) {
       if (this.isConnected) {
-        this.socket.emit('joinRoom', roomCode);
+        this.roomPassword = password || null;
+        this.socket.emit('joinRoom', { roomCode, spectator, password });
       } else {
         console.error('Cannot join room: not connected to server');
       }
     }
     
+    /**
+     * Send an event that acts on the current room. While the connection is down
+     * the event is queued and sent once the room has been rejoined.
+     * @param {string} eventName - Socket event name
+     * @param {Object} data - Event payload
+     * @param {Function} [ack] - Called with the server's reply ({ success, error }) for events that send one
+     */
+    sendRoomEvent(eventName, data, ack) {
+      if (this.isConnected && !this.isRejoining) {
+        this.emitRoomEvent(eventName, data, ack);
+        return;
+      }
+
+      if (!this.roomCode) {
+        console.error(`Cannot send ${eventName}: not connected to server`);
+        if (ack) ack({ success: false, error: 'Not connected to server' });
+        return;
+      }
+
+      this.pendingEvents.push({ eventName, data, ack });
+      if (this.pendingEvents.length > MAX_PENDING_EVENTS) {
+        const dropped = this.pendingEvents.shift();
+        if (dropped.ack) dropped.ack({ success: false, error: 'Offline queue full' });
+        console.warn('Offline queue full, dropped the oldest event');
+      }
+      console.log(`Queued ${eventName} until reconnected (${this.pendingEvents.length} pending)`);
+    }
+
+    /**
+     * Send the events queued while offline, in the order they were made
+     */
+    flushPendingEvents() {
+      const events = this.pendingEvents;
+      this.pendingEvents = [];
+
+      events.forEach(({ eventName, data, ack }) => {
+        this.emitRoomEvent(eventName, data, ack);
+      });
+
+      if (events.length > 0) {
+        console.log(`Sent ${events.length} events queued while offline`);
+      }
+    }
+
+    /**
+     * Emit a room event, with an acknowledgement callback if one is given
+     * @param {string} eventName - Socket event name
+     * @param {Object} data - Event payload
+     * @param {Function} [ack] - Called with the server's reply
+     */
+    emitRoomEvent(eventName, data, ack) {
+      if (ack) {
+        this.socket.emit(eventName, data, ack);
+      } else {
+        this.socket.emit(eventName, data);
+      }
+    }
+
+    /**
+     * Report the connection status to the UI
+     * @param {string} status - 'connected' or 'reconnecting'
+     * @param {number} [attempt] - Reconnection attempt number
+     */
+    setConnectionStatus(status, attempt) {
+      if (this.onConnectionStatus) this.onConnectionStatus(status, attempt);
+    }
+
+    /**
+     * Tell the room which hexes we're hovering and have selected. Updates are
+     * throttled and sent volatile: while offline they're dropped, not queued,
+     * since only the latest one matters.
+     * @param {string} roomCode - Room code
+     * @param {Object} presence - { hover, selected } hex IDs, either may be null
+     */
+    sendPresence(roomCode, presence) {
+      if (!this.isConnected || this.isSpectator) return;
+
+      this.pendingPresence = { roomCode, ...presence };
+      if (this.presenceTimer) return;
+
+      const delay = Math.max(0, PRESENCE_INTERVAL_MS - (Date.now() - this.lastPresenceAt));
+      this.presenceTimer = setTimeout(() => {
+        this.presenceTimer = null;
+        this.lastPresenceAt = Date.now();
+        this.socket.volatile.emit('presence', this.pendingPresence);
+        this.pendingPresence = null;
+      }, delay);
+    }
+
     /**
      * Send a hex interaction to the server
      * @param {string} roomCode - Room code
@@ -109,11 +397,69 @@ class SocketManager {
      * @param {Object} action - Action data
      */
     sendHexAction(roomCode, hexId, action) {
-      if (this.isConnected) {
-        this.socket.emit('hexClicked', { roomCode, hexId, action });
-      } else {
-        console.error('Cannot send hex action: not connected to server');
-      }
+      this.sendRoomEvent('hexClicked', { roomCode, hexId, action });
+    }
+    
+    /**
+     * Send many hex changes to the server as one message
+     * @param {string} roomCode - Room code
+     * @param {Array<{hexId: string, action: Object}>} updates - Hex changes to apply together
+     * @param {Function} [onResult] - Called with { success, error } once the server has applied or refused the batch
+     */
+    sendHexBatch(roomCode, updates, onResult) {
+      this.sendRoomEvent('hexBatchUpdate', { roomCode, updates }, onResult);
+    }
+    
+    /**
+     * Ask the server to generate terrain for the room
+     * @param {string} roomCode - Room code
+     * @param {Object} recipe - Terrain recipe; missing fields are filled in by the server
+     */
+    generateTerrain(roomCode, recipe = {}) {
+      this.sendRoomEvent('generateTerrain', { roomCode, recipe });
+    }
+    
+    /**
+     * Undo the room's most recent operation
+     * @param {string} roomCode - Room code
+     */
+    undo(roomCode) {
+      this.sendRoomEvent('undo', { roomCode });
+    }
+    
+    /**
+     * Redo the room's most recently undone operation
+     * @param {string} roomCode - Room code
+     */
+    redo(roomCode) {
+      this.sendRoomEvent('redo', { roomCode });
+    }
+    
+    /**
+     * Import a map document into the room, replacing its hexes
+     * @param {string} roomCode - Room code
+     * @param {Object} map - Parsed map document
+     */
+    importMap(roomCode, map) {
+      this.sendRoomEvent('importMap', { roomCode, map });
+    }
+    
+    /**
+     * Add a colour to the room's shared palette
+     * @param {string} roomCode - Room code
+     * @param {string} color - Colour (#rrggbb)
+     */
+    addPaletteColor(roomCode, color) {
+      this.sendRoomEvent('addPaletteColor', { roomCode, color });
+    }
+    
+    /**
+     * Remove a colour from the room's shared palette
+     * @param {string} roomCode - Room code
+     * @param {string} color - Colour (#rrggbb)
+     */
+    removePaletteColor(roomCode, color) {
+      this.sendRoomEvent('removePaletteColor', { roomCode, color });
     }
     
     /**
@@ -122,11 +468,26 @@ class SocketManager {
      * @param {string} message - Message content
      */
     sendChatMessage(roomCode, message) {
-      if (this.isConnected) {
-        this.socket.emit('chatMessage', { roomCode, message });
-      } else {
-        console.error('Cannot send message: not connected to server');
-      }
+      this.sendRoomEvent('chatMessage', { roomCode, message });
+    }
+    
+    /**
+     * Change a user's role in the room (host only)
+     * @param {string} roomCode - Room code
+     * @param {string} userId - ID of the user
+     * @param {string} role - 'editor' or 'viewer'
+     */
+    setUserRole(roomCode, userId, role) {
+      this.sendRoomEvent('setUserRole', { roomCode, userId, role });
+    }
+    
+    /**
+     * Remove a user from the room (host only)
+     * @param {string} roomCode - Room code
+     * @param {string} userId - ID of the user
+     */
+    kickUser(roomCode, userId) {
+      this.sendRoomEvent('kickUser', { roomCode, userId });
     }
     
     // Event registration methods
@@ -138,6 +499,18 @@ class SocketManager {
       this.onDisconnect = callback;
     }
     
+    setConnectionStatusCallback(callback) {
+      this.onConnectionStatus = callback;
+    }
+    
+    setIdentifiedCallback(callback) {
+      this.onIdentified = callback;
+    }
+    
+    setUserUpdatedCallback(callback) {
+      this.onUserUpdated = callback;
+    }
+    
     setRoomCreatedCallback(callback) {
       this.onRoomCreated = callback;
     }
@@ -149,6 +522,10 @@ class SocketManager {
     setRoomErrorCallback(callback) {
       this.onRoomError = callback;
     }
+
+    setPasswordRequiredCallback(callback) {
+      this.onPasswordRequired = callback;
+    }
     
     setUserJoinedCallback(callback) {
       this.onUserJoined = callback;
@@ -158,13 +535,49 @@ class SocketManager {
       this.onUserLeft = callback;
     }
     
+    setRoleChangedCallback(callback) {
+      this.onRoleChanged = callback;
+    }
+    
+    setKickedCallback(callback) {
+      this.onKicked = callback;
+    }
+    
+    setPresenceCallback(callback) {
+      this.onPresence = callback;
+    }
+    
+    setSpectatorCountCallback(callback) {
+      this.onSpectatorCount = callback;
+    }
+    
     setHexUpdatedCallback(callback) {
       this.onHexUpdated = callback;
     }
     
+    setHexBatchUpdatedCallback(callback) {
+      this.onHexBatchUpdated = callback;
+    }
+    
+    setTerrainGeneratedCallback(callback) {
+      this.onTerrainGenerated = callback;
+    }
+    
+    setPaletteUpdatedCallback(callback) {
+      this.onPaletteUpdated = callback;
+    }
+    
+    setActionErrorCallback(callback) {
+      this.onActionError = callback;
+    }
+    
     setChatMessageCallback(callback) {
       this.onChatMessage = callback;
     }
+    
+    setFocusHexCallback(callback) {
+      this.onFocusHex = callback;
+    }
   }
 
   export { SocketManager };
\ No newline at end of file
@@ -0,0 +1,112 @@
+import { NoiseGenerator } from './NoiseGenerator.js';
+
+// Tallest column a terrain may produce (matches the server's hex action schema)
+const MAX_TERRAIN_HEIGHT = 50;
+
+/**
+ * TerrainGenerator builds hex heights from a terrain recipe.
+ *
+ * A recipe is a small plain object (seed, scale, amplitude, octaves, peaks) and
+ * the same recipe always produces the same heights. Only the recipe is sent over
+ * the network; the server and every client rebuild the heights from it.
+ * This module has no Three.js dependency so the server can load it too.
+ */
+class TerrainGenerator {
+  /**
+   * @param {Object} recipe - Terrain recipe, missing fields are derived from the seed
+   */
+  constructor(recipe = {}) {
+    this.recipe = TerrainGenerator.createRecipe(recipe);
+    this.noiseGen = new NoiseGenerator(this.recipe.seed);
+    this.peakPoints = this.createPeakPoints();
+  }
+
+  /**
+   * Fill in a complete recipe. Any parameter that isn't given is picked from a
+   * random generator seeded with the recipe seed, so a seed on its own is
+   * enough to reproduce a terrain.
+   * @param {Object} options - Partial recipe
+   * @returns {Object} Complete recipe
+   */
+  static createRecipe(options = {}) {
+    const seed = options.seed !== undefined ? options.seed : Math.floor(Math.random() * 2147483647);
+    const random = NoiseGenerator.prototype.mulberry32(seed ^ 0x5bd1e995);
+    const peaks = options.peaks || {};
+
+    // Always draw every value so each parameter gets the same random number
+    // whether or not the ones before it were given explicitly
+    const pick = (value, randomValue) => (value !== undefined ? value : randomValue);
+
+    return {
+      seed,
+      scale: pick(options.scale, 0.1 + random() * 0.05), // 0.1-0.15
+      amplitude: pick(options.amplitude, 7.0 + random() * 2.0), // 7-9
+      octaves: pick(options.octaves, 3 + Math.floor(random() * 2)), // 3-4
+      peaks: {
+        count: pick(peaks.count, 1 + Math.floor(random() * 2)), // 1 or 2 peaks
+        height: pick(peaks.height, 3.0 + random() * 2.0), // Height between 3-5 units
+        width: pick(peaks.width, 3.0 + random() * 2.0), // Width between 3-5 hex units
+        spread: pick(peaks.spread, 25) // How far from the center peaks may appear
+      }
+    };
+  }
+
+  /**
+   * Place the recipe's peaks, deterministically from the seed
+   * @returns {Array} Array of {x, y} peak positions
+   */
+  createPeakPoints() {
+    const random = this.noiseGen.mulberry32(this.recipe.seed ^ 0x2545f491);
+    const { count, spread } = this.recipe.peaks;
+    const peakPoints = [];
+
+    for (let i = 0; i < count; i++) {
+      // Generate peaks within the spread, but not at the very center
+      const angle = random() * Math.PI * 2;
+      const distance = (0.3 + random() * 0.5) * spread; // Between 30-80% of the spread
+
+      peakPoints.push({
+        x: Math.cos(angle) * distance,
+        y: Math.sin(angle) * distance
+      });
+    }
+
+    return peakPoints;
+  }
+
+  /**
+   * Get the terrain height of one hex
+   * @param {number} q - q coordinate (axial)
+   * @param {number} r - r coordinate (axial)
+   * @returns {number} Height rounded to the nearest 0.25
+   */
+  getHeight(q, r) {
+    const { scale, amplitude, octaves, peaks } = this.recipe;
+
+    // Generate base height using noise, adding a small minimum height
+    const noiseValue = this.noiseGen.fractalNoise(q * scale, r * scale, octaves);
+    let height = 0.25 + noiseValue * amplitude;
+
+    // Add peak influence (much taller areas)
+    height += this.noiseGen.createPeaks(q, r, this.peakPoints, peaks.height, peaks.width);
+
+    // Round to nearest 0.25 for cleaner values
+    const roundedHeight = Math.round(height * 4) / 4;
+    return Math.min(MAX_TERRAIN_HEIGHT, Math.max(0.25, roundedHeight));
+  }
+
+  /**
+   * Get the heights of a set of hexes
+   * @param {Array} hexes - Array of {q, r} objects
+   * @returns {Object} Maps hex IDs ("q,r") to heights
+   */
+  generate(hexes) {
+    const heights = {};
+    hexes.forEach(({ q, r }) => {
+      heights[`${q},${r}`] = this.getHeight(q, r);
+    });
+    return heights;
+  }
+}
+
+export { TerrainGenerator };
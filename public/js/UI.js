@@ -6,9 +6,69 @@ class UI {
     // Room elements
     this.roomCodeDisplay = document.getElementById('room-code-display');
     this.copyRoomCodeBtn = document.getElementById('copy-room-code');
+    this.copyInviteLinkBtn = document.getElementById('copy-invite-link');
+    this.roomPasswordInput = document.getElementById('room-password-input');
     this.createRoomBtn = document.getElementById('create-room-btn');
     this.roomCodeInput = document.getElementById('room-code-input');
     this.joinRoomBtn = document.getElementById('join-room-btn');
+    this.userPanel = document.getElementById('user-panel');
+    this.userCount = document.getElementById('user-count');
+    this.memberList = document.getElementById('member-list');
+    this.spectatorCount = document.getElementById('spectator-count');
+    this.spectateCheckbox = document.getElementById('spectate-checkbox');
+
+    // Grid options for new rooms
+    this.gridShapeSelect = document.getElementById('grid-shape-select');
+    this.gridWidthInput = document.getElementById('grid-width-input');
+    this.gridHeightInput = document.getElementById('grid-height-input');
+
+    // Profile elements
+    this.profileNameInput = document.getElementById('profile-name-input');
+    this.profileColorInput = document.getElementById('profile-color-input');
+
+    // Map file elements
+    this.exportMapBtn = document.getElementById('export-map-btn');
+    this.importMapBtn = document.getElementById('import-map-btn');
+    this.importMapInput = document.getElementById('import-map-input');
+
+    // Colour palette
+    this.activeColorInput = document.getElementById('active-color-input');
+    this.addPaletteColorBtn = document.getElementById('add-palette-color-btn');
+    this.roomPalette = document.getElementById('room-palette');
+    this.recentColors = document.getElementById('recent-colors');
+
+    // Selection panel and the shape dragged out to select hexes
+    this.selectionPanel = document.getElementById('selection-panel');
+    this.selectionCount = document.getElementById('selection-count');
+    this.selectionHeightInput = document.getElementById('selection-height-input');
+    this.selectionEditButtons = this.selectionPanel.querySelectorAll('.selection-edit-btn');
+    this.selectionShape = document.getElementById('selection-shape');
+
+    // Clipboard panel
+    this.clipboardPanel = document.getElementById('clipboard-panel');
+    this.clipboardSummary = document.getElementById('clipboard-summary');
+    this.clipboardPasteBtn = document.getElementById('clipboard-paste-btn');
+    this.clipboardFilledButtons = this.clipboardPanel.querySelectorAll('.clipboard-filled-btn');
+    this.clipboardImportInput = document.getElementById('clipboard-import-input');
+
+    // Brush settings
+    this.brushPanel = document.getElementById('brush-panel');
+    this.brushModeSelect = document.getElementById('brush-mode-select');
+    this.brushRadiusInput = document.getElementById('brush-radius-input');
+    this.brushFalloffInput = document.getElementById('brush-falloff-input');
+    this.brushStrengthInput = document.getElementById('brush-strength-input');
+
+    // Fill settings
+    this.fillPanel = document.getElementById('fill-panel');
+    this.fillMatchSelect = document.getElementById('fill-match-select');
+    this.fillToleranceRow = document.getElementById('fill-tolerance-row');
+    this.fillToleranceInput = document.getElementById('fill-tolerance-input');
+    this.fillRangeRow = document.getElementById('fill-range-row');
+    this.fillMinHeightInput = document.getElementById('fill-min-height-input');
+    this.fillMaxHeightInput = document.getElementById('fill-max-height-input');
+
+    // Connection indicator
+    this.connectionStatus = document.getElementById('connection-status');
 
     // Chat elements
     this.chatContainer = document.getElementById('chat-container');
@@ -21,6 +81,15 @@ class UI {
 
     // State
     this.currentRoomCode = null;
+    this.currentUserId = null;
+    this.users = {}; // Maps user IDs to { name, color } for everyone we've heard about
+    this.roomUsers = []; // IDs of the users connected to our room
+    this.roomHost = null;
+    this.roomRoles = {}; // Maps user IDs to roles given by the host
+    this.canEdit = true;
+    this.activeColor = this.activeColorInput.value; // Colour clicks paint with
+    this.lastChatTimestamp = 0; // Time of the newest chat message shown, to skip repeats when replaying history
+    this.inviteRoomCode = this.readInviteRoomCode(); // Room named by an invite link (?room=CODE), joined once connected
     this.isMobile = this.detectMobile();
 
     // Initialize event listeners
@@ -79,13 +148,31 @@ class UI {
   initEventListeners() {
     // Room-related listeners
     this.createRoomBtn.addEventListener('click', () => {
-      if (this.onCreateRoom) this.onCreateRoom();
+      if (this.onCreateRoom) this.onCreateRoom(this.getGridOptions(), this.roomPasswordInput.value);
+    });
+
+    // Profile listeners; the name is sent once editing finishes
+    this.profileNameInput.addEventListener('change', () => {
+      const name = this.profileNameInput.value.trim();
+      if (name && this.onProfileChange) {
+        this.onProfileChange({ name });
+      }
+    });
+
+    this.profileColorInput.addEventListener('change', () => {
+      if (this.onProfileChange) {
+        this.onProfileChange({ color: this.profileColorInput.value });
+      }
+    });
+
+    this.gridShapeSelect.addEventListener('change', () => {
+      this.updateGridInputs();
     });
 
     this.joinRoomBtn.addEventListener('click', () => {
       const roomCode = this.roomCodeInput.value.trim().toUpperCase();
       if (roomCode && this.onJoinRoom) {
-        this.onJoinRoom(roomCode);
+        this.onJoinRoom(roomCode, { spectator: this.spectateCheckbox.checked });
       }
     });
 
@@ -95,6 +182,130 @@ class UI {
       }
     });
 
+    this.copyInviteLinkBtn.addEventListener('click', () => {
+      if (this.currentRoomCode) {
+        this.copyToClipboard(this.getInviteLink(this.currentRoomCode), this.copyInviteLinkBtn);
+      }
+    });
+
+    // Host controls in the member list
+    this.memberList.addEventListener('change', (e) => {
+      const userId = e.target.dataset.userId;
+      if (e.target.matches('.member-role-select') && this.onSetUserRole) {
+        this.onSetUserRole(this.currentRoomCode, userId, e.target.value);
+      }
+    });
+
+    this.memberList.addEventListener('click', (e) => {
+      if (!e.target.matches('.member-kick')) return;
+
+      const userId = e.target.dataset.userId;
+      if (this.onKickUser && window.confirm(`Remove ${this.getUserName(userId)} from the room?`)) {
+        this.onKickUser(this.currentRoomCode, userId);
+      }
+    });
+
+    // Map file listeners
+    this.exportMapBtn.addEventListener('click', () => {
+      if (this.currentRoomCode && this.onExportMap) {
+        this.onExportMap(this.currentRoomCode);
+      }
+    });
+
+    this.importMapBtn.addEventListener('click', () => {
+      this.importMapInput.click();
+    });
+
+    this.importMapInput.addEventListener('change', () => {
+      const file = this.importMapInput.files[0];
+      if (file) {
+        this.readMapFile(file);
+      }
+      // Reset so picking the same file again still fires a change event
+      this.importMapInput.value = '';
+    });
+
+    // Palette listeners; clicking a swatch makes it the active colour, and
+    // right-clicking a room swatch removes it from the room's palette
+    this.activeColorInput.addEventListener('input', () => {
+      this.setActiveColor(this.activeColorInput.value);
+    });
+
+    this.addPaletteColorBtn.addEventListener('click', () => {
+      if (this.currentRoomCode && this.onAddPaletteColor) {
+        this.onAddPaletteColor(this.currentRoomCode, this.activeColor);
+      }
+    });
+
+    [this.roomPalette, this.recentColors].forEach(container => {
+      container.addEventListener('click', (e) => {
+        if (e.target.matches('.palette-swatch')) this.setActiveColor(e.target.dataset.color);
+      });
+    });
+
+    this.roomPalette.addEventListener('contextmenu', (e) => {
+      if (!e.target.matches('.palette-swatch')) return;
+
+      e.preventDefault();
+      if (this.canEdit && this.currentRoomCode && this.onRemovePaletteColor) {
+        this.onRemovePaletteColor(this.currentRoomCode, e.target.dataset.color);
+      }
+    });
+
+    // Selection listeners; each button runs one bulk operation on the selection
+    [
+      ['selection-height-btn', 'height'],
+      ['selection-paint-btn', 'paint'],
+      ['selection-model-btn', 'model'],
+      ['selection-clear-btn', 'clear'],
+      ['selection-deselect-btn', 'deselect']
+    ].forEach(([id, action]) => {
+      document.getElementById(id).addEventListener('click', () => {
+        if (this.onSelectionAction) {
+          this.onSelectionAction(action, { height: parseFloat(this.selectionHeightInput.value) });
+        }
+      });
+    });
+
+    // Clipboard listeners; imported files are read here and handed over parsed
+    [
+      ['clipboard-copy-btn', 'copy'],
+      ['clipboard-paste-btn', 'paste'],
+      ['clipboard-rotate-btn', 'rotate'],
+      ['clipboard-mirror-btn', 'mirror'],
+      ['clipboard-export-btn', 'export']
+    ].forEach(([id, action]) => {
+      document.getElementById(id).addEventListener('click', () => {
+        if (this.onClipboardAction) this.onClipboardAction(action);
+      });
+    });
+
+    document.getElementById('clipboard-import-btn').addEventListener('click', () => {
+      this.clipboardImportInput.click();
+    });
+
+    this.clipboardImportInput.addEventListener('change', () => {
+      const file = this.clipboardImportInput.files[0];
+      if (file) {
+        this.readClipboardFile(file);
+      }
+      // Reset so picking the same file again still fires a change event
+      this.clipboardImportInput.value = '';
+    });
+    this.setClipboardSummary(0);
+
+    // Brush listeners; every setting is sent together when any of them changes
+    [this.brushModeSelect, this.brushRadiusInput, this.brushFalloffInput, this.brushStrengthInput]
+      .forEach(input => {
+        input.addEventListener('input', () => {
+          if (this.onBrushSettingsChange) this.onBrushSettingsChange(this.getBrushSettings());
+        });
+      });
+
+    // Fill listener; only the inputs for the chosen match are shown
+    this.fillMatchSelect.addEventListener('input', () => this.updateFillRows());
+    this.updateFillRows();
+
     // Chat-related listeners
     this.toggleChatBtn.addEventListener('click', () => {
       this.toggleChat();
@@ -112,6 +323,16 @@ class UI {
       this.sendChatMessage();
     });
 
+    this.chatMessages.addEventListener('click', (e) => {
+      const link = e.target.closest('.hex-link');
+      if (!link) return;
+
+      e.preventDefault();
+      if (this.onHexLinkClick) {
+        this.onHexLinkClick(link.dataset.hexId);
+      }
+    });
+
     this.chatInput.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') {
         this.sendChatMessage();
@@ -132,10 +353,26 @@ class UI {
     this.controlsIndicator.className = 'hud-panel';
     this.controlsIndicator.innerHTML = `
       <div class="control-row"><span class="key">T</span> Generate Terrain</div>
+      <div class="control-row"><span class="key">Alt+T</span> Terrain From Seed</div>
       <div class="control-row"><span class="key">Shift+T</span> Change Colors</div>
-      <div class="control-row"><span class="key">Shift+Click</span> Place Model</div>
+      <div class="control-row"><span class="key">Click</span> Paint Colour</div>
+      <div class="control-row"><span class="key">Alt+Click</span> Pick Up Colour</div>
+      <div class="control-row"><span class="key">Shift+Click</span> Add to Selection</div>
+      <div class="control-row"><span class="key">Place model</span> Model on Selected Hexes (was Shift+Click)</div>
+      <div class="control-row"><span class="key">Drag</span> Box Select</div>
+      <div class="control-row"><span class="key">L</span> Box/Lasso Select</div>
+      <div class="control-row"><span class="key">Ctrl+C</span> Copy Selection</div>
+      <div class="control-row"><span class="key">Ctrl+V</span> Paste</div>
+      <div class="control-row"><span class="key">R / M</span> Rotate / Mirror Paste</div>
+      <div class="control-row"><span class="key">Esc</span> Stop Pasting / Clear Selection</div>
       <div class="control-row"><span class="key">A</span> Toggle Animations</div>
+      <div class="control-row"><span class="key">B</span> Brush</div>
+      <div class="control-row"><span class="key">F</span> Fill</div>
+      <div class="control-row"><span class="key">P</span> Path Preview</div>
+      <div class="control-row"><span class="key">V</span> Field of View</div>
       <div class="control-row"><span class="key">Scroll</span> Adjust Height</div>
+      <div class="control-row"><span class="key">Ctrl+Z</span> Undo</div>
+      <div class="control-row"><span class="key">Ctrl+Shift+Z</span> Redo</div>
     `;
 
     this.hudContainer.appendChild(this.controlsIndicator);
@@ -150,6 +387,8 @@ class UI {
 
     // Allow showing/hiding HUD with H key
     window.addEventListener('keydown', (e) => {
+      if (e.target.closest('input, textarea')) return;
+
       if (e.key === 'h' || e.key === 'H') {
         this.hudContainer.classList.toggle('hud-hidden');
       }
@@ -159,28 +398,30 @@ class UI {
   /**
    * Copy text to clipboard with fallbacks for different browsers
    * @param {string} text - Text to copy
+   * @param {HTMLElement} [button] - Button that shows the copy feedback
    */
-  copyToClipboard(text) {
+  copyToClipboard(text, button = this.copyRoomCodeBtn) {
     // Try the modern navigator.clipboard API first
     if (navigator.clipboard && navigator.clipboard.writeText) {
       navigator.clipboard.writeText(text)
         .then(() => {
-          this.showCopyFeedback();
+          this.showCopyFeedback(button);
         })
         .catch(err => {
-          console.error('Could not copy room code: ', err);
-          this.fallbackCopyToClipboard(text);
+          console.error('Could not copy: ', err);
+          this.fallbackCopyToClipboard(text, button);
         });
     } else {
-      this.fallbackCopyToClipboard(text);
+      this.fallbackCopyToClipboard(text, button);
     }
   }
 
   /**
    * Fallback method to copy text using a temporary textarea
    * @param {string} text - Text to copy
+   * @param {HTMLElement} [button] - Button that shows the copy feedback
    */
-  fallbackCopyToClipboard(text) {
+  fallbackCopyToClipboard(text, button = this.copyRoomCodeBtn) {
     const textArea = document.createElement('textarea');
     textArea.value = text;
 
@@ -196,7 +437,7 @@ class UI {
     try {
       const successful = document.execCommand('copy');
       if (successful) {
-        this.showCopyFeedback();
+        this.showCopyFeedback(button);
       } else {
         console.error('Failed to copy');
       }
@@ -209,21 +450,165 @@ class UI {
 
   /**
    * Show feedback that the copy was successful
+   * @param {HTMLElement} [button] - Button that was clicked
    */
-  showCopyFeedback() {
+  showCopyFeedback(button = this.copyRoomCodeBtn) {
     // Temporary visual feedback
-    const originalText = this.copyRoomCodeBtn.textContent;
-    this.copyRoomCodeBtn.textContent = 'Copied!';
+    const originalText = button.textContent;
+    button.textContent = 'Copied!';
 
     // Also flash the button to provide visual feedback
-    this.copyRoomCodeBtn.classList.add('copy-flash');
+    button.classList.add('copy-flash');
 
     setTimeout(() => {
-      this.copyRoomCodeBtn.textContent = originalText;
-      this.copyRoomCodeBtn.classList.remove('copy-flash');
+      button.textContent = originalText;
+      button.classList.remove('copy-flash');
     }, 2000);
   }
 
+  /**
+   * Build a link that opens the app and joins a room
+   * @param {string} roomCode - Room to invite to
+   * @returns {string} Invite URL
+   */
+  getInviteLink(roomCode) {
+    return `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(roomCode)}`;
+  }
+
+  /**
+   * Read the room code from an invite link the page was opened with
+   * @returns {string|null} Room code, or null if there is none
+   */
+  readInviteRoomCode() {
+    const roomCode = new URLSearchParams(window.location.search).get('room');
+    return roomCode ? roomCode.trim().toUpperCase() : null;
+  }
+
+  /**
+   * Get the room code from the invite link, once; later calls return null
+   * @returns {string|null} Room code to join, or null
+   */
+  takeInviteRoomCode() {
+    const roomCode = this.inviteRoomCode;
+    this.inviteRoomCode = null;
+    return roomCode;
+  }
+
+  /**
+   * Keep the page URL pointing at the current room, so reloading or sharing
+   * it comes back to the room
+   * @param {string|null} roomCode - Room we're in, or null
+   */
+  updateRoomUrl(roomCode) {
+    if (!window.history || !window.history.replaceState) return;
+
+    const url = roomCode ? `?room=${encodeURIComponent(roomCode)}` : window.location.pathname;
+    window.history.replaceState(null, '', url);
+  }
+
+  /**
+   * Download the current room's map as a JSON file. Protected rooms only
+   * export for members, so the request carries our session token.
+   * @param {string} roomCode - Room to export
+   * @param {string} token - Our session token
+   */
+  async downloadMap(roomCode, token) {
+    try {
+      const response = await fetch(`/api/rooms/${encodeURIComponent(roomCode)}/export`, {
+        headers: { 'X-Session-Token': token }
+      });
+      if (!response.ok) {
+        const { error } = await response.json();
+        throw new Error(error);
+      }
+
+      this.saveFile(await response.blob(), `hexmap-${roomCode}.json`);
+    } catch (error) {
+      this.showToast(`Couldn't export the map: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Download a file the page has built
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Name to save it as
+   */
+  saveFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Download the clipboard as a JSON file
+   * @param {Object} doc - Clipboard document from HexClipboard.toJSON
+   */
+  downloadClipboard(doc) {
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+    this.saveFile(blob, `hex-clipboard-${doc.hexes.length}.json`);
+  }
+
+  /**
+   * Read a clipboard file chosen by the user and hand it to the clipboard
+   * callback as an 'import'. HexClipboard checks the document itself.
+   * @param {File} file - Clipboard file to import
+   */
+  readClipboardFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = () => {
+      let doc;
+      try {
+        doc = JSON.parse(reader.result);
+      } catch (error) {
+        this.showToast('Clipboard file is not valid JSON', 'error');
+        return;
+      }
+
+      if (this.onClipboardAction) this.onClipboardAction('import', doc);
+    };
+
+    reader.onerror = () => {
+      this.showToast('Could not read clipboard file', 'error');
+    };
+
+    reader.readAsText(file);
+  }
+
+  /**
+   * Read a map file chosen by the user and hand it to the import callback.
+   * The server does the full validation; this only checks the file is JSON.
+   * @param {File} file - Map file to import
+   */
+  readMapFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = () => {
+      let map;
+      try {
+        map = JSON.parse(reader.result);
+      } catch (error) {
+        this.showToast('Map file is not valid JSON', 'error');
+        return;
+      }
+
+      if (this.currentRoomCode && this.onImportMap) {
+        this.onImportMap(this.currentRoomCode, map);
+      }
+    };
+
+    reader.onerror = () => {
+      this.showToast('Could not read map file', 'error');
+    };
+
+    reader.readAsText(file);
+  }
+
   /**
    * Toggle chat panel expanded/collapsed state
    */
@@ -260,18 +645,31 @@ class UI {
   /**
    * Update the room code display
    * @param {string} roomCode - The room code to display
+   * @param {Object} [options]
+   * @param {boolean} [options.isProtected=false] - Whether the room needs a password to join
    */
-  updateRoomDisplay(roomCode) {
+  updateRoomDisplay(roomCode, { isProtected = false } = {}) {
     this.currentRoomCode = roomCode;
+    this.updateRoomUrl(roomCode);
 
     if (roomCode) {
-      this.roomCodeDisplay.textContent = `Room: ${roomCode}`;
+      this.roomCodeDisplay.textContent = `Room: ${roomCode}${isProtected ? ' 🔒' : ''}`;
+      this.roomCodeDisplay.title = isProtected ? 'Joining this room needs a password' : '';
       this.copyRoomCodeBtn.disabled = false;
+      this.copyInviteLinkBtn.disabled = false;
+      this.exportMapBtn.disabled = false;
+      this.importMapBtn.disabled = !this.canEdit;
+      this.addPaletteColorBtn.disabled = !this.canEdit;
+      this.clipboardPanel.hidden = false;
 
       // Update UI state to show we're in a room
       this.createRoomBtn.disabled = true;
       this.joinRoomBtn.disabled = true;
       this.roomCodeInput.disabled = true;
+      this.spectateCheckbox.disabled = true;
+      this.setGridOptionsDisabled(true);
+      this.roomPasswordInput.disabled = true;
+      this.roomPasswordInput.value = '';
 
       // On mobile, blur the input to hide keyboard
       if (this.isMobile) {
@@ -280,43 +678,449 @@ class UI {
       }
     } else {
       this.roomCodeDisplay.textContent = 'Not in a room';
+      this.roomCodeDisplay.title = '';
       this.copyRoomCodeBtn.disabled = true;
+      this.copyInviteLinkBtn.disabled = true;
+      this.exportMapBtn.disabled = true;
+      this.importMapBtn.disabled = true;
+      this.addPaletteColorBtn.disabled = true;
+      this.clipboardPanel.hidden = true;
 
       // Update UI state to show we're not in a room
       this.createRoomBtn.disabled = false;
       this.joinRoomBtn.disabled = false;
       this.roomCodeInput.disabled = false;
+      this.spectateCheckbox.disabled = false;
+      this.setGridOptionsDisabled(false);
+      this.roomPasswordInput.disabled = false;
+      this.setRoomUsers({});
+      this.setRoomPalette([]);
+      this.setSpectatorCount(0);
+      this.setChatEnabled(true);
+    }
+  }
+
+  /**
+   * Set who is in the room and their roles, e.g. when joining it
+   * @param {Object} room - { users, host, roles } as sent by the server
+   */
+  setRoomUsers({ users = [], host = null, roles = {} }) {
+    this.roomUsers = [...users];
+    this.roomHost = host;
+    this.roomRoles = { ...roles };
+    this.renderMemberList();
+  }
+
+  /**
+   * Add a user to the room's member list
+   * @param {string} userId - User ID
+   */
+  addRoomUser(userId) {
+    if (!this.roomUsers.includes(userId)) {
+      this.roomUsers.push(userId);
+    }
+    this.renderMemberList();
+  }
+
+  /**
+   * Remove a user from the room's member list
+   * @param {string} userId - User ID
+   */
+  removeRoomUser(userId) {
+    this.roomUsers = this.roomUsers.filter(id => id !== userId);
+    this.renderMemberList();
+  }
+
+  /**
+   * Record a role change made by the host
+   * @param {string} userId - User ID
+   * @param {string} role - 'editor' or 'viewer'
+   */
+  setRoomRole(userId, role) {
+    this.roomRoles[userId] = role;
+    this.renderMemberList();
+  }
+
+  /**
+   * Get a user's role in the room
+   * @param {string} userId - User ID
+   * @returns {string} 'host', 'editor' or 'viewer'
+   */
+  getRoomRole(userId) {
+    if (userId === this.roomHost) return 'host';
+    return this.roomRoles[userId] || 'editor';
+  }
+
+  /**
+   * Show how many people are watching the room
+   * @param {number} count - Number of spectators
+   */
+  setSpectatorCount(count) {
+    this.spectatorCount.hidden = count === 0;
+    this.spectatorCount.textContent = `${count} watching`;
+  }
+
+  /**
+   * Enable or disable sending chat messages, e.g. for spectators
+   * @param {boolean} enabled - Whether we may chat
+   */
+  setChatEnabled(enabled) {
+    this.chatInput.disabled = !enabled;
+    this.sendChatBtn.disabled = !enabled;
+    this.chatInput.placeholder = enabled ? 'Type a message...' : 'Spectators can\'t chat';
+  }
+
+  /**
+   * Enable or disable controls that change the map, e.g. for viewers
+   * @param {boolean} canEdit - Whether we may edit the map
+   */
+  setCanEdit(canEdit) {
+    this.canEdit = canEdit;
+    this.importMapBtn.disabled = !canEdit || !this.currentRoomCode;
+    this.addPaletteColorBtn.disabled = !canEdit || !this.currentRoomCode;
+    this.selectionEditButtons.forEach(button => {
+      button.disabled = !canEdit;
+    });
+  }
+
+  /**
+   * Redraw the list of users in the room. The host is marked with a badge and
+   * gets a role picker and a kick button for everyone else.
+   */
+  renderMemberList() {
+    this.memberList.innerHTML = '';
+    this.userPanel.hidden = this.roomUsers.length === 0;
+    this.userCount.textContent = `(${this.roomUsers.length})`;
+
+    const isHost = this.currentUserId === this.roomHost;
+
+    this.roomUsers.forEach(userId => {
+      const role = this.getRoomRole(userId);
+      const item = document.createElement('li');
+      item.className = 'member';
+
+      const name = document.createElement('span');
+      name.className = 'member-name';
+      name.textContent = this.getUserName(userId) + (userId === this.currentUserId ? ' (you)' : '');
+      this.applyUserColor(name, userId);
+      item.appendChild(name);
+
+      if (role === 'host') {
+        const badge = document.createElement('span');
+        badge.className = 'host-badge';
+        badge.textContent = 'Host';
+        item.appendChild(badge);
+      } else if (isHost) {
+        const select = document.createElement('select');
+        select.className = 'member-role-select';
+        select.dataset.userId = userId;
+        select.title = 'Role';
+        ['editor', 'viewer'].forEach(value => {
+          select.add(new Option(value === 'editor' ? 'Editor' : 'Viewer', value, false, value === role));
+        });
+        item.appendChild(select);
+
+        const kick = document.createElement('button');
+        kick.className = 'member-kick';
+        kick.dataset.userId = userId;
+        kick.textContent = 'Kick';
+        item.appendChild(kick);
+      } else {
+        const label = document.createElement('span');
+        label.className = 'member-role';
+        label.textContent = role.charAt(0).toUpperCase() + role.slice(1);
+        item.appendChild(label);
+      }
+
+      this.memberList.appendChild(item);
+    });
+  }
+
+  /**
+   * Enable or disable the new room grid options
+   * @param {boolean} disabled - Whether the options are disabled
+   */
+  setGridOptionsDisabled(disabled) {
+    this.gridShapeSelect.disabled = disabled;
+    this.gridWidthInput.disabled = disabled;
+    this.gridHeightInput.disabled = disabled;
+  }
+
+  /**
+   * Label the grid dimension inputs for the chosen shape
+   */
+  updateGridInputs() {
+    const shape = this.gridShapeSelect.value;
+    const hasHeight = shape === 'rectangle' || shape === 'parallelogram';
+
+    this.gridWidthInput.placeholder = { hexagon: 'Radius', triangle: 'Size' }[shape] || 'Width';
+    this.gridHeightInput.hidden = !hasHeight;
+  }
+
+  /**
+   * Read the grid options for a new room; blank dimensions use the server defaults
+   * @returns {Object} Partial grid definition
+   */
+  getGridOptions() {
+    const shape = this.gridShapeSelect.value;
+    const grid = { shape };
+
+    const width = parseInt(this.gridWidthInput.value, 10);
+    const height = parseInt(this.gridHeightInput.value, 10);
+
+    if (!Number.isNaN(width)) {
+      const dimension = { hexagon: 'radius', triangle: 'size' }[shape] || 'width';
+      grid[dimension] = width;
+    }
+
+    if (!this.gridHeightInput.hidden && !Number.isNaN(height)) {
+      grid.height = height;
+    }
+
+    return grid;
+  }
+
+  /**
+   * Get the colour clicks, the brush and fill paint with
+   * @returns {string} Colour (#rrggbb)
+   */
+  getActiveColor() {
+    return this.activeColor;
+  }
+
+  /**
+   * Make a colour the one everything paints with, e.g. from a swatch or the eyedropper
+   * @param {string} color - Colour (#rrggbb)
+   */
+  setActiveColor(color) {
+    this.activeColor = color.toLowerCase();
+    this.activeColorInput.value = this.activeColor;
+
+    [this.roomPalette, this.recentColors].forEach(container => {
+      container.querySelectorAll('.palette-swatch').forEach(swatch => {
+        swatch.classList.toggle('active', swatch.dataset.color === this.activeColor);
+      });
+    });
+  }
+
+  /**
+   * Show the room's shared palette
+   * @param {Array<string>} colors - Palette colours (#rrggbb)
+   */
+  setRoomPalette(colors) {
+    this.renderSwatches(this.roomPalette, colors, 'Right-click to remove from the room\'s palette');
+  }
+
+  /**
+   * Show the colours we painted with recently
+   * @param {Array<string>} colors - Colours (#rrggbb), most recent first
+   */
+  setRecentColors(colors) {
+    this.renderSwatches(this.recentColors, colors);
+  }
+
+  /**
+   * Fill a row of colour swatches
+   * @param {HTMLElement} container - Element to fill
+   * @param {Array<string>} colors - Colours (#rrggbb)
+   * @param {string} [hint] - Extra line for each swatch's tooltip
+   */
+  renderSwatches(container, colors, hint) {
+    container.innerHTML = '';
+
+    colors.forEach(color => {
+      const swatch = document.createElement('button');
+      swatch.className = 'palette-swatch';
+      swatch.classList.toggle('active', color === this.activeColor);
+      swatch.dataset.color = color;
+      swatch.style.background = color;
+      swatch.title = hint ? `${color}\n${hint}` : color;
+      container.appendChild(swatch);
+    });
+  }
+
+  /**
+   * Show how many hexes are selected, hiding the selection panel when none are
+   * @param {number} count - Number of selected hexes
+   */
+  setSelectionCount(count) {
+    this.selectionPanel.hidden = count === 0;
+    this.selectionCount.textContent = `${count} hex${count === 1 ? '' : 'es'} selected`;
+  }
+
+  /**
+   * Show what's on the clipboard and whether we're pasting it
+   * @param {number} size - Number of hexes on the clipboard
+   * @param {boolean} [pasting=false] - Whether clicks paste the clipboard
+   */
+  setClipboardSummary(size, pasting = false) {
+    this.clipboardSummary.textContent = size === 0
+      ? 'Clipboard empty'
+      : `Clipboard: ${size} hex${size === 1 ? '' : 'es'}`;
+    this.clipboardPasteBtn.textContent = pasting ? 'Stop pasting' : 'Paste';
+    this.clipboardFilledButtons.forEach(button => {
+      button.disabled = size === 0;
+    });
+  }
+
+  /**
+   * Draw the box or lasso being dragged out to select hexes
+   * @param {Array<{x: number, y: number}>} points - Corners in screen pixels
+   */
+  drawSelectionShape(points) {
+    this.selectionShape.hidden = false;
+    this.selectionShape.querySelector('polygon')
+      .setAttribute('points', points.map(({ x, y }) => `${x},${y}`).join(' '));
+  }
+
+  /**
+   * Hide the selection box or lasso
+   */
+  clearSelectionShape() {
+    this.selectionShape.hidden = true;
+  }
+
+  /**
+   * Read the brush settings from the brush panel
+   * @returns {Object} { mode, radius, falloff, strength }
+   */
+  getBrushSettings() {
+    return {
+      mode: this.brushModeSelect.value,
+      radius: Number(this.brushRadiusInput.value),
+      falloff: Number(this.brushFalloffInput.value),
+      strength: Number(this.brushStrengthInput.value)
+    };
+  }
+
+  /**
+   * Show or hide the brush panel
+   * @param {boolean} visible - Whether the brush is on
+   */
+  setBrushPanelVisible(visible) {
+    this.brushPanel.hidden = !visible;
+  }
+
+  /**
+   * Read the fill settings from the fill panel
+   * @returns {Object} { match, tolerance, minHeight, maxHeight }
+   */
+  getFillSettings() {
+    const minHeight = Number(this.fillMinHeightInput.value) || 0;
+    const maxHeight = Number(this.fillMaxHeightInput.value) || 0;
+
+    return {
+      match: this.fillMatchSelect.value,
+      tolerance: Number(this.fillToleranceInput.value),
+      // Accept the range either way round
+      minHeight: Math.min(minHeight, maxHeight),
+      maxHeight: Math.max(minHeight, maxHeight)
+    };
+  }
+
+  /**
+   * Show the tolerance slider for colour fills and the height inputs for range fills
+   */
+  updateFillRows() {
+    this.fillToleranceRow.hidden = this.fillMatchSelect.value !== 'color';
+    this.fillRangeRow.hidden = this.fillMatchSelect.value !== 'heightRange';
+  }
+
+  /**
+   * Show or hide the fill panel
+   * @param {boolean} visible - Whether fill is on
+   */
+  setFillPanelVisible(visible) {
+    this.fillPanel.hidden = !visible;
+  }
+
+  /**
+   * Show a room's chat history, skipping messages already shown. Used when
+   * joining a room and when rejoining after a dropped connection.
+   * @param {Array<{userId: string, message: string, timestamp: number}>} messages - Messages, oldest first
+   */
+  replayChatHistory(messages) {
+    (messages || []).forEach(entry => {
+      if (entry.timestamp > this.lastChatTimestamp) {
+        this.displayChatEntry(entry, false);
+      }
+    });
+  }
+
+  /**
+   * Display a chat entry from the server: a user's message, or a system
+   * message such as a dice roll or a command error
+   * @param {Object} entry - { userId, message, timestamp, type? }
+   * @param {boolean} [notify=true] - Flag the message as new if the chat is collapsed
+   */
+  displayChatEntry(entry, notify = true) {
+    this.lastChatTimestamp = Math.max(this.lastChatTimestamp, entry.timestamp);
+
+    if (entry.type === 'system') {
+      this.displaySystemMessage(entry.message, entry.timestamp, entry.error ? 'error' : '');
+    } else {
+      this.displayChatMessage(entry.userId, entry.message, entry.timestamp, {
+        notify,
+        whisperTo: entry.type === 'whisper' ? entry.to : null
+      });
     }
   }
 
+  /**
+   * Remove every message from the chat, e.g. when moving to another room
+   */
+  clearChat() {
+    this.chatMessages.innerHTML = '';
+    this.lastChatTimestamp = 0;
+  }
+
   /**
    * Display a new chat message
    * @param {string} userId - ID of the user who sent the message
    * @param {string} message - The message content
    * @param {number} timestamp - Message timestamp
+   * @param {Object} [options]
+   * @param {boolean} [options.notify=true] - Flag the message as new if the chat is collapsed
+   * @param {string} [options.whisperTo] - ID of the user a whisper was sent to
    */
-  displayChatMessage(userId, message, timestamp) {
+  displayChatMessage(userId, message, timestamp, { notify = true, whisperTo = null } = {}) {
+    const { html, mentionsMe } = this.formatChatText(message);
     const messageElement = document.createElement('div');
     messageElement.className = 'chat-message';
+    if (whisperTo) messageElement.classList.add('whisper');
+    if (mentionsMe) messageElement.classList.add('mentioned');
 
     // Format the timestamp
     const date = new Date(timestamp);
     const timeStr = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
-    // Create message content with user ID and timestamp
+    // Whispers say who they were sent to, or that they were sent to us
+    let whisperLabel = '';
+    if (whisperTo) {
+      const label = whisperTo === this.currentUserId ? 'whispers to you' : `whispers to ${this.getUserName(whisperTo)}`;
+      whisperLabel = `<span class="whisper-label">${this.escapeHtml(label)}</span>`;
+    }
+
+    // Create message content with the sender's name and timestamp
     messageElement.innerHTML = `
-      <span class="user-id">${this.formatUserId(userId)}</span>
+      <span class="user-id" data-user-id="${this.escapeHtml(userId)}">${this.escapeHtml(this.getUserName(userId))}</span>
+      ${whisperLabel}
       <span class="timestamp">${timeStr}</span>
-      <div class="message-content">${this.escapeHtml(message)}</div>
+      <div class="message-content">${html}</div>
     `;
 
+    this.applyUserColor(messageElement.querySelector('.user-id'), userId);
+
     // Add to chat and scroll to bottom
     this.chatMessages.appendChild(messageElement);
     this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
 
     // If chat is collapsed, give visual indication of new message
-    if (this.chatContainer.classList.contains('collapsed')) {
-      this.toggleChatBtn.textContent = '▼ New';
+    if (notify && this.chatContainer.classList.contains('collapsed')) {
+      // A mention stays flagged until the chat is opened
+      if (mentionsMe || this.toggleChatBtn.textContent !== '▼ Mentioned') {
+        this.toggleChatBtn.textContent = mentionsMe ? '▼ Mentioned' : '▼ New';
+      }
 
       // For mobile, provide haptic feedback if available
       if (this.isMobile && window.navigator.vibrate) {
@@ -332,16 +1136,169 @@ class UI {
   }
 
   /**
-   * Format a user ID to a shorter display name
-   * @param {string} userId - The full user ID
-   * @returns {string} Shortened display name
+   * Turn message text into HTML. The text is escaped piece by piece, and
+   * mentions of known users (@name) and hex references (#q,r) between the
+   * pieces are marked up.
+   * @param {string} message - The message text
+   * @returns {{html: string, mentionsMe: boolean}} The HTML, and whether it mentions us
+   */
+  formatChatText(message) {
+    // Longest names first, so "@Ann Lee" isn't read as a mention of "Ann"
+    const users = Object.keys(this.users)
+      .map(userId => ({ userId, name: this.users[userId].name }))
+      .filter(({ name }) => name)
+      .sort((a, b) => b.name.length - a.name.length || (b.userId === this.currentUserId) - (a.userId === this.currentUserId));
+
+    let html = '';
+    let mentionsMe = false;
+    let textStart = 0;
+    let index = 0;
+
+    while (index < message.length) {
+      const char = message[index];
+      let markup = null;
+      let length = 0;
+
+      // Mentions start a word, so email addresses aren't read as mentions
+      if (char === '@' && !/\w/.test(message.charAt(index - 1))) {
+        const rest = message.slice(index + 1);
+        const mention = users.find(({ name }) =>
+          rest.slice(0, name.length).toLowerCase() === name.toLowerCase() &&
+          !/\w/.test(rest.charAt(name.length))
+        );
+
+        if (mention) {
+          const isMe = mention.userId === this.currentUserId;
+          mentionsMe = mentionsMe || isMe;
+          length = mention.name.length + 1;
+          markup = `<span class="mention${isMe ? ' mention-me' : ''}">${this.escapeHtml(message.substr(index, length))}</span>`;
+        }
+      } else if (char === '#') {
+        const match = message.slice(index).match(/^#(-?\d+),\s?(-?\d+)(?!\d)/);
+
+        if (match) {
+          const hexId = `${Number(match[1])},${Number(match[2])}`;
+          length = match[0].length;
+          markup = `<a href="#" class="hex-link" data-hex-id="${this.escapeHtml(hexId)}">${this.escapeHtml(match[0])}</a>`;
+        }
+      }
+
+      if (markup) {
+        html += this.escapeHtml(message.slice(textStart, index)) + markup;
+        index += length;
+        textStart = index;
+      } else {
+        index++;
+      }
+    }
+
+    html += this.escapeHtml(message.slice(textStart));
+    return { html, mentionsMe };
+  }
+
+  /**
+   * Display a notice from the room, such as a user joining, in the chat
+   * @param {string} message - The notice
+   * @param {number} [timestamp] - When it happened; defaults to now
+   * @param {string} [type] - 'error' to style the notice as an error
+   */
+  displaySystemMessage(message, timestamp = Date.now(), type = '') {
+    const messageElement = document.createElement('div');
+    messageElement.className = `chat-message system ${type}`.trim();
+
+    const timeStr = new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    messageElement.innerHTML = `
+      <span class="timestamp">${timeStr}</span>
+      <span class="message-content">${this.formatChatText(message).html}</span>
+    `;
+
+    this.chatMessages.appendChild(messageElement);
+    this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+  }
+
+  /**
+   * Get the display name of a user
+   * @param {string} userId - User ID
+   * @returns {string} Display name
+   */
+  getUserName(userId) {
+    const user = this.users[userId];
+    return user ? user.name : 'Unknown user';
+  }
+
+  /**
+   * Colour an element with a user's chosen colour
+   * @param {HTMLElement} element - Element to colour
+   * @param {string} userId - User ID
+   */
+  applyUserColor(element, userId) {
+    const user = this.users[userId];
+    element.style.color = user && user.color ? user.color : '';
+  }
+
+  /**
+   * Set our own user and show their profile in the profile controls
+   * @param {Object} user - Our user ({ id, name, color })
+   */
+  setCurrentUser(user) {
+    this.currentUserId = user.id;
+    this.updateUser(user);
+  }
+
+  /**
+   * Add users to the directory, e.g. a room's members when joining it
+   * @param {Object} members - Maps user IDs to { name, color }
+   */
+  setUsers(members) {
+    Object.keys(members || {}).forEach(userId => {
+      this.updateUser({ id: userId, ...members[userId] });
+    });
+  }
+
+  /**
+   * Add or update a user in the directory, renaming them everywhere they appear
+   * @param {Object} user - User ({ id, name, color })
+   */
+  updateUser(user) {
+    this.users[user.id] = { name: user.name, color: user.color };
+
+    this.chatMessages.querySelectorAll('.user-id').forEach(element => {
+      if (element.dataset.userId === user.id) {
+        element.textContent = user.name;
+        this.applyUserColor(element, user.id);
+      }
+    });
+
+    if (this.roomUsers.includes(user.id)) {
+      this.renderMemberList();
+    }
+
+    if (user.id === this.currentUserId) {
+      if (document.activeElement !== this.profileNameInput) {
+        this.profileNameInput.value = user.name;
+      }
+      this.profileColorInput.value = user.color;
+    }
+  }
+
+  /**
+   * Show or hide the reconnecting indicator
+   * @param {string} status - 'connected' or 'reconnecting'
+   * @param {number} [attempt] - Reconnection attempt number
    */
-  formatUserId(userId) {
-    // Use the last 5 characters of the ID if it's long
-    if (userId.length > 10) {
-      return `User-${userId.substring(userId.length - 5)}`;
+  setConnectionStatus(status, attempt) {
+    const wasReconnecting = !this.connectionStatus.hidden;
+
+    if (status === 'reconnecting') {
+      this.connectionStatus.textContent = attempt ? `Reconnecting… (attempt ${attempt})` : 'Reconnecting…';
+      this.connectionStatus.hidden = false;
+      return;
+    }
+
+    this.connectionStatus.hidden = true;
+    if (wasReconnecting) {
+      this.showToast('Reconnected', 'success');
     }
-    return userId;
   }
 
   /**
@@ -434,9 +1391,17 @@ class UI {
       .replace(/'/g, "&#039;");
   }
 
+  /**
+   * Set callback for when the user changes their name or colour
+   * @param {Function} callback - Function to call with the changed fields
+   */
+  setProfileChangeCallback(callback) {
+    this.onProfileChange = callback;
+  }
+
   /**
    * Set callback for when a user creates a room
-   * @param {Function} callback - Function to call
+   * @param {Function} callback - Function to call with grid options and password (empty for an open room)
    */
   setCreateRoomCallback(callback) {
     this.onCreateRoom = callback;
@@ -444,13 +1409,96 @@ class UI {
 
   /**
    * Set callback for when a user joins a room
-   * @param {Function} callback - Function to call with room code
+   * @param {Function} callback - Function to call with room code and join options ({ spectator })
    */
   setJoinRoomCallback(callback) {
     this.onJoinRoom = callback;
   }
 
 
+  /**
+   * Set callback for when a hex reference in the chat is clicked
+   * @param {Function} callback - Function to call with the hex ID
+   */
+  setHexLinkCallback(callback) {
+    this.onHexLinkClick = callback;
+  }
+
+  /**
+   * Set callback for when the host changes a user's role
+   * @param {Function} callback - Function to call with room code, user ID and role
+   */
+  setSetUserRoleCallback(callback) {
+    this.onSetUserRole = callback;
+  }
+
+  /**
+   * Set callback for when the host removes a user from the room
+   * @param {Function} callback - Function to call with room code and user ID
+   */
+  setKickUserCallback(callback) {
+    this.onKickUser = callback;
+  }
+
+  /**
+   * Set callback for when a user adds the active colour to the room's palette
+   * @param {Function} callback - Function to call with room code and colour
+   */
+  setAddPaletteColorCallback(callback) {
+    this.onAddPaletteColor = callback;
+  }
+
+  /**
+   * Set callback for when a user removes a colour from the room's palette
+   * @param {Function} callback - Function to call with room code and colour
+   */
+  setRemovePaletteColorCallback(callback) {
+    this.onRemovePaletteColor = callback;
+  }
+
+  /**
+   * Set callback for when a user runs a bulk operation on the selection
+   * @param {Function} callback - Function to call with the operation ('height',
+   *   'paint', 'model', 'clear' or 'deselect') and its options ({ height })
+   */
+  setSelectionActionCallback(callback) {
+    this.onSelectionAction = callback;
+  }
+
+  /**
+   * Set callback for when a user uses the clipboard panel
+   * @param {Function} callback - Function to call with the action ('copy',
+   *   'paste', 'rotate', 'mirror', 'export' or 'import') and, for 'import',
+   *   the parsed clipboard document
+   */
+  setClipboardActionCallback(callback) {
+    this.onClipboardAction = callback;
+  }
+
+  /**
+   * Set callback for when the brush settings change
+   * @param {Function} callback - Function to call with the settings, see getBrushSettings
+   */
+  setBrushSettingsCallback(callback) {
+    this.onBrushSettingsChange = callback;
+  }
+
+  /**
+   * Set callback for when a user exports the room's map
+   * @param {Function} callback - Function to call with room code
+   */
+  setExportMapCallback(callback) {
+    this.onExportMap = callback;
+  }
+
+  /**
+   * Set callback for when a user imports a map file
+   * @param {Function} callback - Function to call with room code and parsed map document
+   */
+  setImportMapCallback(callback) {
+    this.onImportMap = callback;
+  }
+
   /**
    * Set callback for when a user sends a chat message
    * @param {Function} callback - Function to call with room code and message
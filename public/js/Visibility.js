@@ -0,0 +1,66 @@
+/**
+ * Line-of-sight and field-of-view queries over the hex grid's column heights
+ */
+class Visibility {
+  /**
+   * @param {HexUtils} hexUtils - Hex math helpers
+   * @param {Function} getHeight - Returns the height of a hex ID, or undefined if it isn't on the grid
+   */
+  constructor(hexUtils, getHeight) {
+    this.hexUtils = hexUtils;
+    this.getHeight = getHeight;
+  }
+
+  /**
+   * Check whether the top of one hex can be seen from an eye above another
+   * @param {Object} from - Hex the viewer stands on {q, r}
+   * @param {Object} to - Hex being looked at {q, r}
+   * @param {number} eyeHeight - Height of the eye above the viewer's column top
+   * @returns {boolean} True if nothing in between rises above the sight line
+   */
+  canSee(from, to, eyeHeight = 1.5) {
+    const fromHeight = this.getHeight(this.hexUtils.getHexId(from.q, from.r));
+    const toHeight = this.getHeight(this.hexUtils.getHexId(to.q, to.r));
+    if (fromHeight === undefined || toHeight === undefined) return false;
+
+    const eye = fromHeight + eyeHeight;
+    const line = this.hexUtils.line(from, to);
+    const steps = line.length - 1;
+
+    // Check every hex strictly between the two ends against the sight line
+    for (let i = 1; i < steps; i++) {
+      const hex = line[i];
+      const height = this.getHeight(this.hexUtils.getHexId(hex.q, hex.r));
+      if (height === undefined) continue;
+
+      const sightHeight = eye + (toHeight - eye) * (i / steps);
+      if (height > sightHeight) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get every hex whose top can be seen from a hex
+   * @param {Object} origin - Hex the viewer stands on {q, r}
+   * @param {number} eyeHeight - Height of the eye above the viewer's column top
+   * @param {number} range - How many hexes away to look
+   * @returns {Set<string>} IDs of the visible hexes, including the origin
+   */
+  visibleFrom(origin, eyeHeight = 1.5, range = 20) {
+    const visible = new Set();
+
+    this.hexUtils.spiral(origin, range).forEach(hex => {
+      const hexId = this.hexUtils.getHexId(hex.q, hex.r);
+      if (this.getHeight(hexId) === undefined) return;
+
+      if (this.canSee(origin, hex, eyeHeight)) {
+        visible.add(hexId);
+      }
+    });
+
+    return visible;
+  }
+}
+
+export { Visibility };
@@ -9,6 +9,11 @@ import { VoxelModelManager } from './VoxelModelManager.js';
 import { HexGrid } from './HexGrid.js';
 import { UI } from './UI.js';
 import { SocketManager } from './Socket.js';
+import { Identity } from './Identity.js';
+import { Presence } from './Presence.js';
+import { BrushTool } from './BrushTool.js';
+import { Selection } from './Selection.js';
+import { HexClipboard } from './HexClipboard.js';
 
 // Make THREE available globally for compatibility
 window.THREE = THREE;
@@ -30,13 +35,31 @@ class App {
       this.ui = new UI();
       console.log('UI initialized');
 
-      this.socketManager = new SocketManager();
+      // Session token and profile survive reloads, so we stay the same user
+      this.identity = new Identity();
+      this.ui.setRecentColors(this.identity.recentColors);
+      this.socketManager = new SocketManager(this.identity);
       console.log('Socket manager initialized');
 
       // Initialize hex grid
-      this.hexGrid = new HexGrid(this.scene, 1, 17);
+      // Default grid until a room tells us which grid it uses
+      this.hexGrid = new HexGrid(this.scene);
       console.log('Hex grid initialized');
 
+      // Other users' hovered and selected hexes
+      this.presence = new Presence(this.scene, this.hexGrid, (userId) => this.ui.users[userId]);
+
+      // Hexes picked for bulk operations
+      this.selection = new Selection(this.scene, this.hexGrid);
+      this.selection.onChange((hexIds) => this.ui.setSelectionCount(hexIds.length));
+
+      // Copied hexes, pasted elsewhere with a ghost preview
+      this.clipboard = new HexClipboard(this.scene, this.hexGrid);
+
+      // Brush for editing many hexes in one stroke
+      this.brush = new BrushTool(this.scene, this.hexGrid, () => this.ui.getActiveColor());
+      this.brush.setSettings(this.ui.getBrushSettings());
+
       // Connect components
       this.connectComponents();
       console.log('Components connected');
@@ -61,6 +84,33 @@ class App {
       // Animation state
       this.animationsEnabled = true;
 
+      // Path preview state: while enabled, hovering draws a path from the selected hex
+      this.pathMode = false;
+      this.pathOptions = { maxClimb: 1, moveRange: 6 };
+      this.pathEndpoints = null; // "from|to" of the last drawn path, to skip redundant searches
+
+      // Brush state: while enabled, left-dragging paints with the brush instead of selecting hexes
+      this.brushMode = false;
+
+      // Fill state: while enabled, clicking a hex fills its region instead of selecting it
+      this.fillMode = false;
+
+      // Selection state: left-dragging draws a 'box' or 'lasso' that selects the hexes inside it
+      this.selectionShape = 'box';
+      this.selectionDrag = null; // { additive, points } while a shape is being drawn
+
+      // Paste state: while enabled, clicking a hex pastes the clipboard centred on it
+      this.pasteMode = false;
+
+      // Field-of-view state: while enabled, hexes hidden from the selected hex are shaded
+      this.visibilityMode = false;
+      this.visibilityOptions = { eyeHeight: 1.5 };
+      this.visibilityOrigin = null; // Hex ID the current shading was computed from
+
+      // Whether our role in the room lets us change the map; viewers can only look
+      this.canEditRoom = true;
+      this.isSpectator = false; // Joined to watch: no selecting, editing or chatting
+
     } catch (error) {
       console.error('Error during initialization:', error);
       alert('Error initializing application: ' + error.message);
@@ -93,10 +143,11 @@ class App {
     this.camera.position.set(0, 15, 20);
     this.camera.lookAt(0, 0, 0);
 
-    // Create renderer
-    this.renderer = new THREE.WebGLRenderer({ antialias: true });
+    // Create renderer; mobile devices trade detail for speed
+    const lowDetail = this.detectMobile();
+    this.renderer = new THREE.WebGLRenderer({ antialias: !lowDetail });
     this.renderer.setSize(window.innerWidth, window.innerHeight);
-    this.renderer.setPixelRatio(window.devicePixelRatio);
+    this.renderer.setPixelRatio(lowDetail ? Math.min(window.devicePixelRatio, 1.5) : window.devicePixelRatio);
     document.getElementById('canvas-container').appendChild(this.renderer.domElement);
 
     // Initialize controls using imported OrbitControls
@@ -139,31 +190,49 @@ class App {
     };
 
     // Add event listeners to track mouse movement for drag detection
-    this.renderer.domElement.addEventListener('mousedown', () => {
+    this.renderer.domElement.addEventListener('mousedown', (event) => {
       this.controls.isMouseDown = true;
       this.controls.lastMoveTime = Date.now();
+
+      if (event.button !== 0 || event.altKey) return;
+
+      if (this.brushMode) {
+        this.beginBrushStroke();
+      } else if (!this.fillMode && !this.pasteMode) {
+        this.beginSelectionDrag(event);
+      }
     });
 
-    this.renderer.domElement.addEventListener('mousemove', () => {
+    this.renderer.domElement.addEventListener('mousemove', (event) => {
       if (this.controls.isMouseDown) {
         this.controls.isMouseMoving = true;
         this.controls.wasDragging = true;
         this.controls.lastMoveTime = Date.now();
       }
+
+      this.updateSelectionDrag(event);
     });
 
     window.addEventListener('mouseup', () => {
       this.controls.isMouseDown = false;
       this.controls.isMouseMoving = false;
+      this.endBrushStroke();
+      this.endSelectionDrag();
     });
 
     // Add this to the keyboard event listeners in preventDefaultTouchBehavior method
     window.addEventListener('keydown', (event) => {
-      // Generate terrain with 'T' key
-      if (event.key === 't' || event.key === 'T') {
+      // Typing a name or chat message shouldn't trigger shortcuts
+      if (event.target.closest('input, textarea')) return;
+
+      // Generate terrain with 'T' key (macOS reports a different key when Alt is held)
+      if (event.key === 't' || event.key === 'T' || (event.altKey && event.code === 'KeyT')) {
         if (event.shiftKey) {
           // Shift+T: Apply random color tints
           this.applyRandomTints();
+        } else if (event.altKey) {
+          // Alt+T: Generate terrain from a chosen seed
+          this.promptTerrainSeed();
         } else {
           // Plain T: Generate terrain
           this.generateTerrain();
@@ -178,7 +247,7 @@ class App {
       if (!this.controls.enabled) return;
 
       // Check if a hex is selected (in which case we prioritize height adjustment)
-      if (this.hexGrid && this.hexGrid.selectedHex) {
+      if (this.hexGrid && this.hexGrid.selectedHex && !this.hexGrid.readOnly) {
         // Let the hex grid handle the scroll event for height adjustment
         const hexHandled = this.hexGrid.handleScroll(event);
 
@@ -201,8 +270,85 @@ class App {
       // No need to prevent default as OrbitControls will do that
     }, { passive: false });
 
+    // Undo with Ctrl+Z, redo with Ctrl+Shift+Z (Cmd on macOS)
+    window.addEventListener('keydown', (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.code !== 'KeyZ') return;
+
+      // Leave text fields to their own undo
+      if (event.target.closest('input, textarea')) return;
+
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    });
+
+    // Copy the selection with Ctrl+C and start pasting with Ctrl+V (Cmd on macOS)
+    window.addEventListener('keydown', (event) => {
+      if (!(event.ctrlKey || event.metaKey) || (event.code !== 'KeyC' && event.code !== 'KeyV')) return;
+
+      // Leave text fields to their own clipboard
+      if (event.target.closest('input, textarea')) return;
+
+      event.preventDefault();
+      this.runClipboardAction(event.code === 'KeyC' ? 'copy' : 'paste');
+    });
+
+    // Toggle path preview with 'P' key, field of view with 'V'
+    window.addEventListener('keydown', (event) => {
+      if (event.target.closest('input, textarea')) return;
+
+      // Ctrl and Cmd shortcuts are handled above
+      if (event.ctrlKey || event.metaKey) return;
+
+      if (event.key === 'p' || event.key === 'P') {
+        this.togglePathMode();
+      }
+
+      // Toggle field-of-view shading with 'V' key
+      if (event.key === 'v' || event.key === 'V') {
+        this.toggleVisibilityMode();
+      }
+
+      // Toggle the brush with 'B' key
+      if (event.key === 'b' || event.key === 'B') {
+        this.toggleBrushMode();
+      }
+
+      // Toggle fill with 'F' key
+      if (event.key === 'f' || event.key === 'F') {
+        this.toggleFillMode();
+      }
+
+      // Switch between box and lasso selection with 'L' key
+      if (event.key === 'l' || event.key === 'L') {
+        this.toggleSelectionShape();
+      }
+
+      // Turn or flip the clipboard with 'R' and 'M' keys
+      if (event.key === 'r' || event.key === 'R') {
+        this.runClipboardAction('rotate');
+      }
+      if (event.key === 'm' || event.key === 'M') {
+        this.runClipboardAction('mirror');
+      }
+
+      // Stop pasting, or clear the selection, with Escape
+      if (event.key === 'Escape') {
+        if (this.pasteMode) {
+          this.togglePasteMode();
+        } else {
+          this.clearSelection();
+        }
+      }
+    });
+
     // Add keyboard shortcut for toggling animations (press 'A' key)
     window.addEventListener('keydown', (event) => {
+      if (event.target.closest('input, textarea')) return;
+
       // Toggle animations with 'A' key
       if (event.key === 'a' || event.key === 'A') {
         this.toggleAnimations();
@@ -252,8 +398,23 @@ class App {
       // Make sure the click is not on a UI element
       if (event.target.closest('#ui-overlay')) return;
 
+      // Alt+click picks up a hex's colour, whatever tool is on
+      if (event.altKey) {
+        this.pickColorFromPointer();
+        return;
+      }
+
+      // With the brush on, clicks paint rather than select
+      if (this.brushMode) return;
+
       // Only process if we're not in a drag operation
-      if (!this.controls.wasDragging) {
+      if (this.controls.wasDragging) return;
+
+      if (this.pasteMode) {
+        this.pasteFromPointer();
+      } else if (this.fillMode) {
+        this.fillFromPointer();
+      } else {
         handleHexClick();
       }
     });
@@ -299,18 +460,65 @@ class App {
    */
   connectComponents() {
     // UI to Socket connections
-    this.ui.setCreateRoomCallback(() => {
-      this.socketManager.createRoom();
+    this.ui.setProfileChangeCallback((profile) => {
+      this.identity.saveProfile(profile);
+      this.socketManager.updateProfile(profile);
+    });
+
+    this.ui.setClipboardActionCallback((action, doc) => {
+      this.runClipboardAction(action, doc);
+    });
+
+    this.ui.setSelectionActionCallback((action, options) => {
+      this.runSelectionAction(action, options);
+    });
+
+    this.ui.setAddPaletteColorCallback((roomCode, color) => {
+      this.socketManager.addPaletteColor(roomCode, color);
+    });
+
+    this.ui.setRemovePaletteColorCallback((roomCode, color) => {
+      this.socketManager.removePaletteColor(roomCode, color);
+    });
+
+    this.ui.setCreateRoomCallback((grid, password) => {
+      this.socketManager.createRoom(grid, password);
+    });
+
+    this.ui.setJoinRoomCallback((roomCode, options) => {
+      this.socketManager.joinRoom(roomCode, options);
     });
 
-    this.ui.setJoinRoomCallback((roomCode) => {
-      this.socketManager.joinRoom(roomCode);
+    this.ui.setBrushSettingsCallback((settings) => {
+      this.brush.setSettings(settings);
+    });
+
+    this.ui.setExportMapCallback((roomCode) => {
+      this.ui.downloadMap(roomCode, this.identity.token);
+    });
+
+    this.ui.setImportMapCallback((roomCode, map) => {
+      if (!this.canEdit()) return;
+      this.socketManager.importMap(roomCode, map);
+      this.ui.showToast('Importing map...', 'success');
     });
 
     this.ui.setSendChatMessageCallback((roomCode, message) => {
       this.socketManager.sendChatMessage(roomCode, message);
     });
 
+    this.ui.setHexLinkCallback((hexId) => {
+      this.focusHex(hexId);
+    });
+
+    this.ui.setSetUserRoleCallback((roomCode, userId, role) => {
+      this.socketManager.setUserRole(roomCode, userId, role);
+    });
+
+    this.ui.setKickUserCallback((roomCode, userId) => {
+      this.socketManager.kickUser(roomCode, userId);
+    });
+
     // // In connectComponents method in main.js
     // // Connect UI refresh button to model manager refresh
     // this.ui.setRefreshModelsCallback(() => {
@@ -343,62 +551,174 @@ class App {
     });
 
     // Socket to UI connections
-    this.socketManager.setRoomCreatedCallback((roomCode) => {
+    this.socketManager.setRoomCreatedCallback((roomCode, room) => {
       this.currentRoomCode = roomCode;
-      this.ui.updateRoomDisplay(roomCode);
+      this.ui.updateRoomDisplay(roomCode, { isProtected: room.protected });
+
+      // The room owns its grid, rebuild ours if it differs
+      this.applyRoomGrid(room.grid);
+
+      // We're the host and, for now, the only user
+      this.isSpectator = false;
+      this.presence.clear();
+      this.ui.clearChat();
+      this.ui.setRoomUsers({ users: [room.host], host: room.host });
+      this.ui.setRoomPalette(room.palette || []);
+      this.ui.setChatEnabled(true);
+      this.updateRole();
 
       // Update HexGrid with room code and socket manager
       this.hexGrid.setRoomCode(roomCode);
       this.hexGrid.setSocketManager(this.socketManager);
     });
 
-    this.socketManager.setRoomJoinedCallback((roomCode, state) => {
+    this.socketManager.setIdentifiedCallback((user) => {
+      this.ui.setCurrentUser(user);
+
+      // Join the room an invite link points at, the first time we connect
+      const inviteRoomCode = this.ui.takeInviteRoomCode();
+      if (inviteRoomCode && !this.currentRoomCode) {
+        this.socketManager.joinRoom(inviteRoomCode);
+      }
+    });
+
+    this.socketManager.setUserUpdatedCallback((user) => {
+      this.ui.updateUser(user);
+      this.presence.refresh();
+    });
+
+    this.socketManager.setUserJoinedCallback((user) => {
+      this.ui.updateUser(user);
+      this.ui.addRoomUser(user.id);
+      this.ui.displaySystemMessage(`${user.name} joined the room`);
+    });
+
+    this.socketManager.setUserLeftCallback((userId) => {
+      this.ui.displaySystemMessage(`${this.ui.getUserName(userId)} left the room`);
+      this.ui.removeRoomUser(userId);
+      this.presence.removeUser(userId);
+    });
+
+    // Our own presence can come back from another tab of ours; we already show it
+    this.socketManager.setPresenceCallback((userId, presence) => {
+      if (userId !== this.ui.currentUserId) {
+        this.presence.setPresence(userId, presence);
+      }
+    });
+
+    this.socketManager.setRoleChangedCallback((userId, role) => {
+      this.ui.setRoomRole(userId, role);
+
+      if (userId === this.ui.currentUserId) {
+        this.updateRole();
+        this.ui.showToast(`You are now ${role === 'viewer' ? 'a viewer' : 'an editor'}`, 'info');
+      }
+    });
+
+    this.socketManager.setPaletteUpdatedCallback((palette) => {
+      this.ui.setRoomPalette(palette);
+    });
+
+    this.socketManager.setSpectatorCountCallback((count) => {
+      this.ui.setSpectatorCount(count);
+    });
+
+    this.socketManager.setKickedCallback(() => {
+      this.leaveRoom();
+      this.ui.showToast('You have been removed from the room', 'error');
+    });
+
+    this.socketManager.setRoomJoinedCallback((roomCode, state, room) => {
+      // A rejoin keeps the chat we have and only adds what we missed
+      if (roomCode !== this.currentRoomCode) {
+        this.ui.clearChat();
+      }
+
       this.currentRoomCode = roomCode;
-      this.ui.updateRoomDisplay(roomCode);
+      this.isSpectator = !!room.spectator;
+      this.ui.setUsers(room.members);
+      this.ui.replayChatHistory(room.chat);
+      this.ui.setRoomUsers(room);
+      this.ui.setRoomPalette(room.palette || []);
+      this.ui.setSpectatorCount(room.spectators || 0);
+      this.ui.setChatEnabled(!this.isSpectator);
+      this.updateRole();
+      this.applyRoomGrid(room.grid);
+      this.hexGrid.terrainRecipe = room.terrain || null;
+      this.ui.updateRoomDisplay(roomCode, { isProtected: room.protected });
 
       // Update HexGrid with room code and socket manager
       this.hexGrid.setRoomCode(roomCode);
       this.hexGrid.setSocketManager(this.socketManager);
 
-      // Apply the existing room state to our grid
-      if (state && Object.keys(state).length > 0) {
-        console.log('Applying existing room state with', Object.keys(state).length, 'hexes');
+      // Show where everyone is pointing, and tell them where we are after a rejoin
+      const presence = { ...room.presence };
+      delete presence[this.ui.currentUserId];
+      this.presence.setAll(presence);
+      this.hexGrid.broadcastPresence();
+
+      // A rejoin that missed nothing leaves our grid as it is
+      if (room.upToDate) return;
 
-        // Apply in batches to avoid UI freezing
-        const hexIds = Object.keys(state);
-        const batchSize = 10;
+      // Otherwise bring every hex in line with the room, resetting hexes it doesn't mention
+      this.hexGrid.applyRoomState(state);
+      this.invalidateHeightOverlays();
+    });
 
-        // Function to process a batch
-        const processBatch = (startIndex) => {
-          const endIndex = Math.min(startIndex + batchSize, hexIds.length);
+    this.socketManager.setRoomErrorCallback((error, { rejoinFailed }) => {
+      // The room we were in couldn't be rejoined after reconnecting
+      if (rejoinFailed) {
+        this.leaveRoom();
+        this.ui.showToast(`Couldn't rejoin the room: ${error}`, 'error');
+        return;
+      }
 
-          for (let i = startIndex; i < endIndex; i++) {
-            const hexId = hexIds[i];
-            const hexState = state[hexId];
-            this.hexGrid.updateHexState(hexId, hexState);
-          }
+      // Don't keep pointing the page at a room we couldn't join
+      if (!this.currentRoomCode) this.ui.updateRoomUrl(null);
+      this.ui.displayError(error);
+    });
 
-          // Process next batch if there are more hexes
-          if (endIndex < hexIds.length) {
-            setTimeout(() => processBatch(endIndex), 10);
-          }
-        };
+    this.socketManager.setPasswordRequiredCallback((roomCode, { spectator, error, rejoinFailed }) => {
+      if (rejoinFailed) this.leaveRoom();
 
-        // Start processing batches
-        processBatch(0);
+      const password = window.prompt(`${error}. Enter the password for room ${roomCode}:`);
+      if (password) {
+        this.socketManager.joinRoom(roomCode, { spectator, password });
+      } else if (!this.currentRoomCode) {
+        this.ui.updateRoomUrl(null);
       }
     });
 
-    this.socketManager.setRoomErrorCallback((error) => {
-      this.ui.displayError(error);
+    this.socketManager.setConnectionStatusCallback((status, attempt) => {
+      this.ui.setConnectionStatus(status, attempt);
     });
 
-    this.socketManager.setChatMessageCallback((userId, message, timestamp) => {
-      this.ui.displayChatMessage(userId, message, timestamp);
+    this.socketManager.setChatMessageCallback((entry) => {
+      this.ui.displayChatEntry(entry);
+    });
+
+    this.socketManager.setFocusHexCallback((hexId) => {
+      this.focusHex(hexId);
     });
 
     this.socketManager.setHexUpdatedCallback((hexId, action) => {
       this.hexGrid.updateHexState(hexId, action);
+      this.invalidateHeightOverlays();
+    });
+
+    this.socketManager.setHexBatchUpdatedCallback((updates) => {
+      this.hexGrid.applyHexUpdates(updates);
+      this.invalidateHeightOverlays();
+    });
+
+    this.socketManager.setTerrainGeneratedCallback((recipe) => {
+      this.hexGrid.applyTerrain(recipe);
+      this.invalidateHeightOverlays();
+      this.ui.showToast(`Terrain seed ${recipe.seed}`, 'success');
+    });
+
+    this.socketManager.setActionErrorCallback((hexId, error) => {
+      this.ui.showToast(error, 'error');
     });
   }
 
@@ -436,6 +756,8 @@ class App {
 
     // Add keyboard shortcut for toggling axes helper (press 'X' key)
     window.addEventListener('keydown', (event) => {
+      if (event.target.closest('input, textarea')) return;
+
       // Toggle axes helper with 'X' key
       if (event.key === 'x' || event.key === 'X') {
         this.toggleAxesHelper();
@@ -449,49 +771,86 @@ class App {
   }
 
   /**
-   * Handle hex click and notify server
+   * Rebuild the hex grid from a room's grid definition
+   * @param {Object} grid - Grid definition sent by the server
    */
-  handleHexClick() {
-    // Only send updates if we're in a room
-    if (!this.currentRoomCode) return;
+  applyRoomGrid(grid) {
+    if (!grid || !this.hexGrid.setGrid(grid)) return;
 
-    const selectedHex = this.hexGrid.handleClick(this.mouse, this.camera);
+    // Overlays and the selection refer to hexes of the old grid
+    this.selection.clear();
+    this.invalidateHeightOverlays();
+  }
 
-    if (selectedHex) {
-      console.log('Hex clicked:', selectedHex);
+  /**
+   * Forget the current room after being removed from it or failing to rejoin it
+   */
+  leaveRoom() {
+    this.currentRoomCode = null;
+    this.isSpectator = false;
+    this.presence.clear();
+    this.selection.clear();
+    if (this.pasteMode) this.togglePasteMode();
+    this.hexGrid.setRoomCode(null);
+    this.ui.updateRoomDisplay(null);
+    this.updateRole();
+  }
 
-      // Check if Shift key is pressed for placing a voxel model instead of changing color
-      if (this.isShiftKeyPressed) {
-        console.log('Placing voxel model (Shift key pressed)');
-        this.handleVoxelModelPlacement(selectedHex.hexId);
-        return;
+  /**
+   * Apply our role in the room: viewers can select hexes but not change them,
+   * spectators can't even select them
+   */
+  updateRole() {
+    this.canEditRoom = !this.isSpectator && this.ui.getRoomRole(this.ui.currentUserId) !== 'viewer';
+    this.hexGrid.readOnly = !this.canEditRoom;
+    this.ui.setCanEdit(this.canEditRoom);
+  }
+
+  /**
+   * Check that we may change the map, telling the user if we can't
+   * @returns {boolean} True if our role allows editing
+   */
+  canEdit() {
+    if (!this.canEditRoom) {
+      this.ui.showToast(this.isSpectator ? 'Spectators can only watch' : 'Viewers can\'t change the map', 'error');
+    }
+    return this.canEditRoom;
+  }
+
+  /**
+   * Handle hex click and notify server
+   */
+  handleHexClick() {
+    // Only send updates if we're in a room; spectators don't select hexes
+    if (!this.currentRoomCode || this.isSpectator) return;
+
+    // Shift+click adds a hex to the selection, or takes it out again
+    if (this.isShiftKeyPressed) {
+      const hex = this.hexGrid.pickHex(this.mouse, this.camera);
+      if (!hex) return;
+
+      const hexId = hex.userData.hexId;
+      if (this.selection.toggle(hexId)) {
+        this.hexGrid.selectHex(hexId);
+      } else if (this.hexGrid.selectedHex === hex) {
+        this.hexGrid.selectHex(null);
       }
+      return;
+    }
 
-      // Only send color change on first click of a hex
-      // We'll check if the hex already has a custom color by looking at the mesh
-      const hexMesh = this.hexGrid.hexMeshes[selectedHex.hexId];
-      const hasCustomColor = hexMesh &&
-        hexMesh.material &&
-        hexMesh.material.color &&
-        hexMesh.material.color.getHex() !== this.hexGrid.defaultMaterial.color.getHex();
+    const selectedHex = this.hexGrid.handleClick(this.mouse, this.camera);
 
-      // Only set color if it doesn't already have a custom color
-      if (!hasCustomColor) {
-        // Get current height - maintain it instead of resetting to 1.0
-        const currentHeight = hexMesh.userData.height || 1.0;
+    // A plain click selects just the clicked hex, or nothing
+    this.selection.set(selectedHex ? [selectedHex.hexId] : []);
 
-        // Generate a random color
-        const action = {
-          color: this.getRandomColor(),
-          height: currentHeight // Maintain the current height
-        };
+    if (selectedHex) {
+      console.log('Hex clicked:', selectedHex);
 
-        // Send action to server
-        this.socketManager.sendHexAction(
-          this.currentRoomCode,
-          selectedHex.hexId,
-          action
-        );
+      // Paint the hex with the active colour; viewers just select
+      const color = this.ui.getActiveColor();
+      if (this.canEditRoom && this.hexGrid.getHexColor(selectedHex.hexId) !== color) {
+        this.socketManager.sendHexAction(this.currentRoomCode, selectedHex.hexId, { color });
+        this.rememberColor(color);
       }
 
       // Play animation on the model if there is one on this hex
@@ -504,25 +863,12 @@ class App {
   }
 
   /**
-   * Handle placing a voxel model on a hex
-   * @param {string} hexId - ID of the clicked hex
+   * Pick a random model with random animation settings
+   * @returns {Object} voxelModel field of a hex action
    */
-  // Update this method in main.js
-  handleVoxelModelPlacement(hexId) {
-    // Only place models if we're in a room
-    if (!this.currentRoomCode) return;
-
-    // Check if the hex exists
-    const hexMesh = this.hexGrid.hexMeshes[hexId];
-    if (!hexMesh) return;
-
-    // Get a random model type from the available models
-    const randomModelType = this.hexGrid.voxelModelManager.getRandomModelType();
-
-    // Create a model selection with animation parameters
-    const modelOptions = {
-      modelType: randomModelType,
-      heightOffset: 1.0,
+  createRandomModel() {
+    return {
+      type: this.hexGrid.voxelModelManager.getRandomModelType(),
       scale: 1.5 + Math.random() * 0.5, // Random scale between 1.5 and 2.0
       rotation: {
         x: 0,
@@ -532,46 +878,61 @@ class App {
       animate: true,
       hoverRange: 0.1 + Math.random() * 0.15, // Random hover range
       hoverSpeed: 0.8 + Math.random() * 1.0, // Random hover speed
-      rotateSpeed: 0.2 + Math.random() * 0.6, // Random rotation speed
-      playAnimation: true // Add this option to play animation immediately
+      rotateSpeed: 0.2 + Math.random() * 0.6 // Random rotation speed
     };
+  }
 
-    // Place the model on the hex
-    this.hexGrid.spawnVoxelModelOnHex(hexId, modelOptions);
-
-    // Sync with other clients via socket
-    if (this.socketManager) {
-      const action = {
-        voxelModel: {
-          type: modelOptions.modelType,
-          scale: modelOptions.scale,
-          rotation: modelOptions.rotation,
-          animate: modelOptions.animate,
-          hoverRange: modelOptions.hoverRange,
-          hoverSpeed: modelOptions.hoverSpeed,
-          rotateSpeed: modelOptions.rotateSpeed
-        }
-      };
 
-      this.socketManager.sendHexAction(
-        this.currentRoomCode,
-        hexId,
-        action
-      );
-    }
+  /**
+   * Select a hex and move the camera to look at it, keeping its angle and distance.
+   * Spectators can't select hexes, so for them only the camera moves.
+   * @param {string} hexId - ID of the hex
+   */
+  focusHex(hexId) {
+    const hex = this.isSpectator ? this.hexGrid.hexMeshes[hexId] : this.hexGrid.selectHex(hexId);
+    if (!hex) return;
+
+    const { q, r, height } = hex.userData;
+    const target = this.hexGrid.hexUtils.getObjectPosition(q, r, height || 0);
+    const offset = this.camera.position.clone().sub(this.controls.target);
+
+    this.controls.target.copy(target);
+    this.camera.position.copy(target).add(offset);
+    this.controls.update();
   }
 
   /**
-   * Generate a random hex color
-   * @returns {string} Random hex color
+   * Undo the room's most recent change
    */
-  getRandomColor() {
-    const letters = '0123456789ABCDEF';
-    let color = '#';
-    for (let i = 0; i < 6; i++) {
-      color += letters[Math.floor(Math.random() * 16)];
-    }
-    return color;
+  undo() {
+    if (!this.currentRoomCode || !this.canEdit()) return;
+    this.socketManager.undo(this.currentRoomCode);
+  }
+
+  /**
+   * Redo the room's most recently undone change
+   */
+  redo() {
+    if (!this.currentRoomCode || !this.canEdit()) return;
+    this.socketManager.redo(this.currentRoomCode);
+  }
+
+  /**
+   * Make the colour of the hex under the pointer the active colour (eyedropper)
+   */
+  pickColorFromPointer() {
+    const hex = this.hexGrid.pickHex(this.mouse, this.camera);
+    if (!hex) return;
+
+    this.ui.setActiveColor(this.hexGrid.getHexColor(hex.userData.hexId));
+  }
+
+  /**
+   * Add a colour we painted with to the recent colours
+   * @param {string} color - Colour (#rrggbb)
+   */
+  rememberColor(color) {
+    this.ui.setRecentColors(this.identity.addRecentColor(color));
   }
 
   /**
@@ -587,6 +948,8 @@ class App {
       return;
     }
 
+    if (!this.canEdit()) return;
+
     // Check if the hex grid has the tinting method
     if (this.hexGrid && typeof this.hexGrid.applyRandomTints === 'function') {
       // Set tint intensity - adjust this value to control how strong the tints are
@@ -650,12 +1013,467 @@ class App {
       (this.controls.isTouching && this.controls.wasDragging);
 
     // Update hex hover state - pass dragging state to prevent hover during camera movement
-    this.hexGrid.handleMouseMove(this.mouse, this.camera, isDragging);
+    const hoveredHex = this.hexGrid.handleMouseMove(this.mouse, this.camera, isDragging);
+
+    if (this.pathMode) {
+      this.updatePathPreview(hoveredHex);
+    }
+
+    if (this.visibilityMode) {
+      this.updateVisibilityShading();
+    }
+
+    if (this.brushMode) {
+      this.updateBrush();
+    }
+
+    if (this.pasteMode) {
+      this.updatePastePreview();
+    }
 
     // Render
     this.renderer.render(this.scene, this.camera);
   }
 
+  /**
+   * Force the path preview and field-of-view shading to be recomputed on the
+   * next frame and redraw presence outlines, e.g. after column heights change
+   */
+  invalidateHeightOverlays() {
+    this.pathEndpoints = null;
+    this.visibilityOrigin = null;
+    this.brush.invalidatePreview();
+
+    // Outlines and labels sit on the column tops
+    this.presence.refresh();
+    this.selection.refresh();
+  }
+
+  /**
+   * Toggle drawing a path from the selected hex to the hovered hex
+   */
+  togglePathMode() {
+    this.pathMode = !this.pathMode;
+    this.pathEndpoints = null;
+
+    if (!this.pathMode) {
+      this.hexGrid.clearPath();
+    }
+
+    this.ui.showToast(`Path preview ${this.pathMode ? 'enabled' : 'disabled'}`, 'info');
+  }
+
+  /**
+   * Redraw the path preview when the selected or hovered hex changes
+   * @param {Object|null} hoveredHex - Hex under the pointer
+   */
+  updatePathPreview(hoveredHex) {
+    const selectedHex = this.hexGrid.selectedHex;
+    if (!selectedHex || !hoveredHex) {
+      if (this.pathEndpoints) {
+        this.hexGrid.clearPath();
+        this.pathEndpoints = null;
+      }
+      return;
+    }
+
+    const fromId = selectedHex.userData.hexId;
+    const toId = hoveredHex.userData.hexId;
+    const endpoints = `${fromId}|${toId}`;
+    if (endpoints === this.pathEndpoints) return;
+    this.pathEndpoints = endpoints;
+
+    const options = { maxClimb: this.pathOptions.maxClimb };
+    const path = this.hexGrid.findPath(fromId, toId, options);
+    const reachable = this.hexGrid.getReachableHexes(fromId, this.pathOptions.moveRange, options);
+
+    this.hexGrid.showPath(path, reachable);
+  }
+
+  /**
+   * Toggle the brush; while it's on, left-dragging paints instead of selecting
+   */
+  toggleBrushMode() {
+    if (!this.brushMode && this.fillMode) this.toggleFillMode();
+    if (!this.brushMode && this.pasteMode) this.togglePasteMode();
+
+    this.brushMode = !this.brushMode;
+    this.ui.setBrushPanelVisible(this.brushMode);
+
+    if (!this.brushMode) {
+      this.endBrushStroke();
+      this.brush.clearPreview();
+    }
+
+    this.ui.showToast(`Brush ${this.brushMode ? 'enabled' : 'disabled'}`, 'info');
+  }
+
+  /**
+   * Start a brush stroke at the hex under the pointer
+   */
+  beginBrushStroke() {
+    if (!this.currentRoomCode) {
+      this.ui.showToast('Join a room first to use the brush', 'error');
+      return;
+    }
+    if (!this.canEdit()) return;
+
+    const hex = this.hexGrid.pickHex(this.mouse, this.camera);
+    this.brush.beginStroke(hex ? hex.userData.hexId : null);
+  }
+
+  /**
+   * Finish the current brush stroke and send it to the room as one batch
+   */
+  endBrushStroke() {
+    const stroke = this.brush.endStroke();
+    if (stroke.updates.length === 0) return;
+
+    if (!this.currentRoomCode) {
+      this.brush.revertStroke(stroke);
+      return;
+    }
+
+    // The stroke is only previewed until the server accepts it, e.g. we may
+    // have been made a viewer mid-stroke. Its colour only counts as recently
+    // used once it has been accepted.
+    const paintColor = this.brush.settings.mode === 'paint' ? this.ui.getActiveColor() : null;
+    this.socketManager.sendHexBatch(this.currentRoomCode, stroke.updates, ({ success }) => {
+      if (success) {
+        if (paintColor) this.rememberColor(paintColor);
+        return;
+      }
+      this.brush.revertStroke(stroke);
+      this.invalidateHeightOverlays();
+    });
+    this.invalidateHeightOverlays();
+  }
+
+  /**
+   * Follow the pointer with the brush: preview its footprint, and paint while a stroke is going
+   */
+  updateBrush() {
+    const hex = this.hexGrid.pickHex(this.mouse, this.camera);
+    const hexId = hex ? hex.userData.hexId : null;
+
+    this.brush.continueStroke(hexId);
+    this.brush.showPreview(hexId);
+  }
+
+  /**
+   * Start drawing a selection box or lasso from the pointer
+   * @param {MouseEvent} event - Left-button press on the canvas
+   */
+  beginSelectionDrag(event) {
+    if (!this.currentRoomCode || this.isSpectator) return;
+
+    this.selectionDrag = {
+      additive: event.shiftKey, // Shift+drag adds to the selection instead of replacing it
+      points: [{ x: event.clientX, y: event.clientY }]
+    };
+  }
+
+  /**
+   * Extend the selection box or lasso to the pointer
+   * @param {MouseEvent} event - Pointer move on the canvas
+   */
+  updateSelectionDrag(event) {
+    if (!this.selectionDrag) return;
+
+    const point = { x: event.clientX, y: event.clientY };
+    const { points } = this.selectionDrag;
+    if (this.selectionShape === 'lasso') {
+      points.push(point);
+    } else {
+      this.selectionDrag.points = [points[0], point];
+    }
+
+    this.ui.drawSelectionShape(this.getSelectionPolygon());
+  }
+
+  /**
+   * Select the hexes inside the selection box or lasso. A drag too small to
+   * draw a shape is left to the click handler.
+   */
+  endSelectionDrag() {
+    if (!this.selectionDrag) return;
+
+    const { additive } = this.selectionDrag;
+    const polygon = this.getSelectionPolygon();
+    this.selectionDrag = null;
+    this.ui.clearSelectionShape();
+
+    const xs = polygon.map(({ x }) => x);
+    const ys = polygon.map(({ y }) => y);
+    if (Math.max(...xs) - Math.min(...xs) < 5 && Math.max(...ys) - Math.min(...ys) < 5) return;
+
+    const hexIds = this.selection.getHexesInScreenPolygon(
+      polygon.map(({ x, y }) => ({
+        x: (x / window.innerWidth) * 2 - 1,
+        y: -(y / window.innerHeight) * 2 + 1
+      })),
+      this.camera
+    );
+
+    if (additive) {
+      this.selection.add(hexIds);
+    } else {
+      this.selection.set(hexIds);
+    }
+  }
+
+  /**
+   * Get the corners of the selection shape being drawn
+   * @returns {Array<{x: number, y: number}>} Corners in screen pixels
+   */
+  getSelectionPolygon() {
+    const { points } = this.selectionDrag;
+    if (this.selectionShape === 'lasso' || points.length < 2) return points;
+
+    const [start, end] = points;
+    return [start, { x: end.x, y: start.y }, end, { x: start.x, y: end.y }];
+  }
+
+  /**
+   * Switch left-dragging between box and lasso selection
+   */
+  toggleSelectionShape() {
+    this.selectionShape = this.selectionShape === 'box' ? 'lasso' : 'box';
+    this.ui.showToast(`${this.selectionShape === 'box' ? 'Box' : 'Lasso'} selection`, 'info');
+  }
+
+  /**
+   * Deselect every hex, including the clicked one
+   */
+  clearSelection() {
+    this.selection.clear();
+    this.hexGrid.selectHex(null);
+  }
+
+  /**
+   * Run a bulk operation on every selected hex, sent to the room as one batch
+   * @param {string} action - 'height', 'paint', 'model', 'clear' or 'deselect'
+   * @param {Object} options - { height } for 'height'
+   */
+  runSelectionAction(action, { height } = {}) {
+    if (action === 'deselect') {
+      this.clearSelection();
+      return;
+    }
+
+    if (!this.currentRoomCode || !this.canEdit()) return;
+
+    let makeAction;
+    switch (action) {
+      case 'height':
+        if (!Number.isFinite(height)) {
+          this.ui.showToast('Enter a height first', 'error');
+          return;
+        }
+        height = Math.min(this.hexGrid.maxHexHeight, Math.max(0.01, height));
+        makeAction = () => ({ height });
+        break;
+
+      case 'paint': {
+        const color = this.ui.getActiveColor();
+        this.rememberColor(color);
+        makeAction = () => ({ color });
+        break;
+      }
+
+      case 'model':
+        makeAction = () => ({ voxelModel: this.createRandomModel() });
+        break;
+
+      case 'clear':
+        makeAction = () => ({ color: null, height: null, voxelModel: null });
+        break;
+
+      default:
+        return;
+    }
+
+    const updates = this.selection.getHexIds().map(hexId => ({ hexId, action: makeAction() }));
+    if (updates.length > 0) {
+      this.socketManager.sendHexBatch(this.currentRoomCode, updates);
+    }
+  }
+
+  /**
+   * Run a clipboard operation from the clipboard panel or a shortcut
+   * @param {string} action - 'copy', 'paste', 'rotate', 'mirror', 'export' or 'import'
+   * @param {Object} [doc] - Parsed clipboard document, for 'import'
+   */
+  runClipboardAction(action, doc) {
+    switch (action) {
+      case 'copy': {
+        if (this.selection.size === 0) {
+          this.ui.showToast('Select some hexes to copy first', 'error');
+          return;
+        }
+        const count = this.clipboard.copy(this.selection.getHexIds());
+        this.ui.showToast(`Copied ${count} hex${count === 1 ? '' : 'es'}`, 'success');
+        break;
+      }
+
+      case 'paste':
+        this.togglePasteMode();
+        return;
+
+      case 'rotate':
+      case 'mirror':
+        if (this.clipboard.size === 0) return;
+        if (action === 'rotate') {
+          this.clipboard.rotate();
+        } else {
+          this.clipboard.mirror();
+        }
+        break;
+
+      case 'export':
+        if (this.clipboard.size > 0) this.ui.downloadClipboard(this.clipboard.toJSON());
+        return;
+
+      case 'import':
+        try {
+          this.clipboard.fromJSON(doc);
+        } catch (error) {
+          this.ui.showToast(`Couldn't import the clipboard: ${error.message}`, 'error');
+          return;
+        }
+        this.ui.showToast(`Imported ${this.clipboard.size} hexes to the clipboard`, 'success');
+        break;
+
+      default:
+        return;
+    }
+
+    this.ui.setClipboardSummary(this.clipboard.size, this.pasteMode);
+  }
+
+  /**
+   * Toggle pasting; while it's on, the clipboard follows the pointer as a
+   * ghost and clicking a hex pastes it there
+   */
+  togglePasteMode() {
+    if (!this.pasteMode) {
+      if (this.clipboard.size === 0) {
+        this.ui.showToast('Copy some hexes first', 'error');
+        return;
+      }
+      if (!this.currentRoomCode || !this.canEdit()) return;
+
+      if (this.brushMode) this.toggleBrushMode();
+      if (this.fillMode) this.toggleFillMode();
+    }
+
+    this.pasteMode = !this.pasteMode;
+    if (!this.pasteMode) this.clipboard.clearGhost();
+
+    this.ui.setClipboardSummary(this.clipboard.size, this.pasteMode);
+    this.ui.showToast(this.pasteMode ? 'Click a hex to paste, R to rotate, M to mirror' : 'Pasting stopped', 'info');
+  }
+
+  /**
+   * Move the paste ghost to the hex under the pointer
+   */
+  updatePastePreview() {
+    const hex = this.hexGrid.pickHex(this.mouse, this.camera);
+    this.clipboard.showGhost(hex ? hex.userData.hexId : null);
+  }
+
+  /**
+   * Paste the clipboard centred on the hex under the pointer, as one batch
+   */
+  pasteFromPointer() {
+    if (!this.currentRoomCode || !this.canEdit()) return;
+
+    const hex = this.hexGrid.pickHex(this.mouse, this.camera);
+    if (!hex) return;
+
+    const updates = this.clipboard.getPasteUpdates(hex.userData.hexId);
+    if (updates.length === 0) return;
+
+    this.socketManager.sendHexBatch(this.currentRoomCode, updates);
+    this.ui.showToast(`Pasted ${updates.length} hex${updates.length === 1 ? '' : 'es'}`, 'success');
+  }
+
+  /**
+   * Toggle fill; while it's on, clicking a hex fills its region instead of selecting it
+   */
+  toggleFillMode() {
+    if (!this.fillMode && this.brushMode) this.toggleBrushMode();
+    if (!this.fillMode && this.pasteMode) this.togglePasteMode();
+
+    this.fillMode = !this.fillMode;
+    this.ui.setFillPanelVisible(this.fillMode);
+    this.ui.showToast(`Fill ${this.fillMode ? 'enabled' : 'disabled'}`, 'info');
+  }
+
+  /**
+   * Fill the region around the hex under the pointer with the active colour,
+   * sending every changed hex to the room as one batch
+   */
+  fillFromPointer() {
+    if (!this.currentRoomCode) {
+      this.ui.showToast('Join a room first to use fill', 'error');
+      return;
+    }
+    if (!this.canEdit()) return;
+
+    const hex = this.hexGrid.pickHex(this.mouse, this.camera);
+    if (!hex) return;
+
+    const color = this.ui.getActiveColor();
+    const region = this.hexGrid.getFillRegion(hex.userData.hexId, this.ui.getFillSettings());
+    const updates = region
+      .filter(hexId => this.hexGrid.getHexColor(hexId) !== color)
+      .map(hexId => ({ hexId, action: { color } }));
+
+    if (updates.length === 0) {
+      const reason = region.length === 0 ? 'That hex is outside the height range' : 'Nothing to fill';
+      this.ui.showToast(reason, 'info');
+      return;
+    }
+
+    this.socketManager.sendHexBatch(this.currentRoomCode, updates);
+    this.rememberColor(color);
+    this.ui.showToast(`Filled ${updates.length} hex${updates.length === 1 ? '' : 'es'}`, 'success');
+  }
+
+  /**
+   * Toggle shading the hexes that can't be seen from the selected hex
+   */
+  toggleVisibilityMode() {
+    this.visibilityMode = !this.visibilityMode;
+    this.visibilityOrigin = null;
+
+    if (!this.visibilityMode) {
+      this.hexGrid.clearShading();
+    }
+
+    this.ui.showToast(`Field of view ${this.visibilityMode ? 'enabled' : 'disabled'}`, 'info');
+  }
+
+  /**
+   * Recompute field-of-view shading when the selected hex changes
+   */
+  updateVisibilityShading() {
+    const selectedHex = this.hexGrid.selectedHex;
+    const originId = selectedHex ? selectedHex.userData.hexId : null;
+    if (originId === this.visibilityOrigin) return;
+    this.visibilityOrigin = originId;
+
+    if (!originId) {
+      this.hexGrid.clearShading();
+      return;
+    }
+
+    const visible = this.hexGrid.getVisibleHexes(originId, this.visibilityOptions.eyeHeight);
+    const hidden = Object.keys(this.hexGrid.hexMeshes).filter(hexId => !visible.has(hexId));
+    this.hexGrid.shadeHexes(hidden);
+  }
+
   /**
    * Toggle the visibility of the coordinate axes
    */
@@ -669,9 +1487,10 @@ class App {
   }
 
   /**
- * Generate terrain across the hex grid
- */
-  generateTerrain() {
+   * Generate terrain across the hex grid
+   * @param {number} [seed] - Terrain seed; a random one is picked by the server if omitted
+   */
+  generateTerrain(seed) {
     // Only generate terrain if we're in a room
     if (!this.currentRoomCode || !this.socketManager) {
       console.warn('Cannot generate terrain: not in a room');
@@ -681,18 +1500,16 @@ class App {
       return;
     }
 
+    if (!this.canEdit()) return;
+
     // Check if the hex grid has the terrain generation method
     if (this.hexGrid && typeof this.hexGrid.generateTerrain === 'function') {
-      // Use consistent amplitude values, not decreasing over time
-      // Can make this even higher if desired
-      const scale = 0.1 + Math.random() * 0.05;  // 0.1-0.15 
-      const amplitude = 7.0 + Math.random() * 2.0;  // 4.0-6.0 (increased from 2.5-3.5)
-      const octaves = 3 + Math.floor(Math.random() * 2);  // 3-4
+      // Every other recipe parameter is derived from the seed, so the seed
+      // alone is enough to reproduce a terrain later
+      const recipe = seed !== undefined ? { seed } : {};
 
       this.hexGrid.generateTerrain(
-        scale,
-        amplitude,
-        octaves,
+        recipe,
         this.currentRoomCode,
         this.socketManager
       );
@@ -705,6 +1522,25 @@ class App {
       console.error('Terrain generation method not available');
     }
   }
+
+  /**
+   * Ask the user for a terrain seed and generate terrain from it
+   */
+  promptTerrainSeed() {
+    if (!this.canEdit()) return;
+
+    const currentSeed = this.hexGrid.terrainRecipe ? this.hexGrid.terrainRecipe.seed : '';
+    const input = window.prompt('Terrain seed', currentSeed);
+    if (input === null) return;
+
+    const seed = Number(input.trim());
+    if (!Number.isInteger(seed) || seed < 0) {
+      this.ui.showToast('Seed must be a whole number', 'error');
+      return;
+    }
+
+    this.generateTerrain(seed);
+  }
 }
 
 
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const shared = require('./shared');
+
+// Limits on dice rolls, so one roll can't flood the chat
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+const MAX_MODIFIER = 10000;
+
+// Roll made by /roll on its own
+const DEFAULT_ROLL = '1d20';
+
+// How strongly /tint blends hexes towards the colour when no intensity is given
+const DEFAULT_TINT_INTENSITY = 0.5;
+
+// One term of a dice expression: NdS dice or a flat number, with a sign
+const DICE_TERM_PATTERN = /([+-]?)(?:(\d*)d(\d+)|(\d+))/y;
+
+// Commands users can type in chat. Each one is run with its argument text and
+// a context ({ roomManager, roomCode, user, socketId }) and returns what
+// should happen, any of:
+//   announce: system message for the whole room, kept in the chat history,
+//             with optional details stored alongside it
+//   reply:    system message for the sender only
+//   error:    error message for the sender only
+//   terrain, hexUpdates: room changes for server.js to broadcast
+//   focusHex: hex ID the sender's view should move to
+//   whisper:  { to, message } private message for one user, not stored
+const COMMANDS = {
+  roll: { usage: '/roll [dice]', run: runRoll },
+  terrain: { usage: '/terrain [seed]', run: runTerrain },
+  tint: { usage: '/tint <#rrggbb> [intensity]', run: runTint },
+  goto: { usage: '/goto q,r', run: runGoto },
+  w: { usage: '/w <name> <message>', run: runWhisper },
+  help: { usage: '/help', run: runHelp }
+};
+
+// Check whether a chat message is a command
+function isChatCommand(message) {
+  return parseChatCommand(message) !== null;
+}
+
+// Split a command into its name and the rest of the line, or return null if
+// the message isn't a command
+function parseChatCommand(message) {
+  if (typeof message !== 'string') return null;
+
+  const match = message.trim().match(/^\/(\S+)\s*(.*)$/);
+  return match ? { name: match[1].toLowerCase(), args: match[2].trim() } : null;
+}
+
+// Run a chat command, returning what should happen (see COMMANDS)
+function runChatCommand(message, context) {
+  const { name, args } = parseChatCommand(message);
+
+  // Only look at COMMANDS' own keys, so /constructor isn't found on its prototype
+  if (!Object.hasOwn(COMMANDS, name)) {
+    return { error: `Unknown command /${name}. Type /help to list commands` };
+  }
+
+  return COMMANDS[name].run(args, context);
+}
+
+// Build a system message that only its recipient sees and that isn't stored
+function createPrivateMessage(message, isError = false) {
+  return { type: 'system', private: true, error: isError, message, timestamp: Date.now() };
+}
+
+// Parse a dice expression such as 2d6+3 or d20-1+1d4
+function parseDice(expression) {
+  // Spaces are allowed around signs only, so "2d6 3" isn't read as 2d63
+  const text = expression.trim().replace(/\s*([+-])\s*/g, '$1').toLowerCase();
+  const invalid = { error: `Can't read dice "${expression}", try something like 2d6+3` };
+  const dice = [];
+  let diceCount = 0;
+  let modifier = 0;
+
+  DICE_TERM_PATTERN.lastIndex = 0;
+  while (DICE_TERM_PATTERN.lastIndex < text.length) {
+    const start = DICE_TERM_PATTERN.lastIndex;
+    const match = DICE_TERM_PATTERN.exec(text);
+
+    // Every term after the first needs a sign
+    if (!match || (start > 0 && !match[1])) return invalid;
+
+    const sign = match[1] === '-' ? -1 : 1;
+    if (match[3] === undefined) {
+      modifier += sign * Number(match[4]);
+      continue;
+    }
+
+    const count = match[2] === '' ? 1 : Number(match[2]);
+    const sides = Number(match[3]);
+    if (count < 1 || sides < 2 || sides > MAX_SIDES) {
+      return { error: `Dice need 2 to ${MAX_SIDES} sides and at least one die` };
+    }
+
+    diceCount += count;
+    dice.push({ count, sides, sign });
+  }
+
+  if (dice.length === 0) return invalid;
+
+  if (diceCount > MAX_DICE) {
+    return { error: `Can't roll more than ${MAX_DICE} dice at once` };
+  }
+
+  if (Math.abs(modifier) > MAX_MODIFIER) {
+    return { error: `Modifier must be between -${MAX_MODIFIER} and ${MAX_MODIFIER}` };
+  }
+
+  return { dice, modifier };
+}
+
+// Write parsed dice back out in a standard form, e.g. 2d6+1d4-1
+function formatDice({ dice, modifier }) {
+  const terms = dice.map(({ count, sides, sign }, index) =>
+    `${sign < 0 ? '-' : index > 0 ? '+' : ''}${count}d${sides}`
+  );
+  if (modifier !== 0) terms.push(`${modifier > 0 ? '+' : '-'}${Math.abs(modifier)}`);
+  return terms.join('');
+}
+
+// Roll parsed dice. Every die comes from the same seeded generator the terrain
+// uses (mulberry32), drawn in order as floor(random() * sides) + 1, so anyone
+// can check a roll from its seed.
+function rollDice({ dice, modifier }, seed) {
+  const random = shared.NoiseGenerator.prototype.mulberry32(seed);
+  const rolls = dice.map(({ count, sides }) =>
+    Array.from({ length: count }, () => Math.floor(random() * sides) + 1)
+  );
+
+  const total = dice.reduce(
+    (sum, { sign }, index) => sum + sign * rolls[index].reduce((a, b) => a + b, 0),
+    modifier
+  );
+
+  return { rolls, total };
+}
+
+// /roll [dice]: roll dice for everyone to see
+function runRoll(args, { user }) {
+  const parsed = parseDice(args || DEFAULT_ROLL);
+  if (parsed.error) return parsed;
+
+  const seed = crypto.randomInt(0, 2147483647);
+  const { rolls, total } = rollDice(parsed, seed);
+  const expression = formatDice(parsed);
+
+  const terms = parsed.dice.map(({ sign }, index) =>
+    `${sign < 0 ? '- ' : index > 0 ? '+ ' : ''}[${rolls[index].join(', ')}]`
+  );
+  if (parsed.modifier !== 0) {
+    terms.push(`${parsed.modifier > 0 ? '+' : '-'} ${Math.abs(parsed.modifier)}`);
+  }
+
+  return {
+    announce: `${user.name} rolled ${expression}: ${terms.join(' ')} = ${total} (seed ${seed})`,
+    details: { userId: user.id, roll: { expression, seed, rolls, total } }
+  };
+}
+
+// /terrain [seed]: generate terrain, from a random seed if none is given
+function runTerrain(args, { roomManager, roomCode, user, socketId }) {
+  const error = roomManager.checkPermission(roomCode, user.id, 'edit', socketId);
+  if (error) return { error };
+
+  const recipe = {};
+  if (args) {
+    if (!/^\d+$/.test(args)) return { error: 'Seed must be a whole number' };
+    recipe.seed = Number(args);
+  }
+
+  const result = roomManager.generateTerrain(roomCode, recipe, user.id);
+  if (!result.success) return { error: result.error };
+
+  return {
+    terrain: result,
+    announce: `${user.name} generated terrain with seed ${result.recipe.seed}`,
+    details: { userId: user.id }
+  };
+}
+
+// /tint <#rrggbb> [intensity]: blend every hex towards a colour
+function runTint(args, { roomManager, roomCode, user, socketId }) {
+  const error = roomManager.checkPermission(roomCode, user.id, 'edit', socketId);
+  if (error) return { error };
+
+  const [colorArg, intensityArg] = args.split(/\s+/);
+  if (!/^#?[0-9a-fA-F]{6}$/.test(colorArg || '')) {
+    return { error: 'Colour must look like #ff8800' };
+  }
+
+  const color = `#${colorArg.replace('#', '').toLowerCase()}`;
+  const intensity = intensityArg !== undefined ? Number(intensityArg) : DEFAULT_TINT_INTENSITY;
+
+  const result = roomManager.tintHexes(roomCode, color, intensity, user.id);
+  if (!result.success) return { error: result.error };
+
+  return {
+    hexUpdates: result,
+    announce: `${user.name} tinted the map ${color}`,
+    details: { userId: user.id }
+  };
+}
+
+// /goto q,r: move the sender's view to a hex
+function runGoto(args, { roomManager, roomCode }) {
+  const match = args.match(/^(-?\d+)\s*[,\s]\s*(-?\d+)$/);
+  if (!match) return { error: 'Usage: /goto q,r' };
+
+  const hexId = `${Number(match[1])},${Number(match[2])}`;
+  if (!roomManager.isHexInGrid(roomCode, hexId)) {
+    return { error: `Hex ${hexId} is not on this room's grid` };
+  }
+
+  return { focusHex: hexId };
+}
+
+// /w <name> <message>: send a message only one user in the room can see.
+// Names may contain spaces, so the longest name the text starts with wins.
+function runWhisper(args, { roomManager, roomCode, user }) {
+  const text = args.replace(/^@/, '');
+  const lowerText = text.toLowerCase();
+
+  const target = roomManager.getRoomUsers(roomCode)
+    .filter(({ name }) => lowerText === name.toLowerCase() || lowerText.startsWith(`${name.toLowerCase()} `))
+    .sort((a, b) => b.name.length - a.name.length)[0];
+
+  if (!target) {
+    const name = text.split(/\s+/)[0];
+    return { error: name ? `No one called ${name} is in the room` : 'Usage: /w <name> <message>' };
+  }
+
+  if (target.id === user.id) return { error: "You can't whisper to yourself" };
+
+  const message = text.slice(target.name.length).trim();
+  if (!message) return { error: 'Usage: /w <name> <message>' };
+
+  return { whisper: { to: target.id, message } };
+}
+
+// /help: list the commands
+function runHelp() {
+  return { reply: `Commands: ${Object.values(COMMANDS).map(command => command.usage).join(', ')}` };
+}
+
+module.exports = {
+  COMMANDS,
+  isChatCommand,
+  parseChatCommand,
+  runChatCommand,
+  createPrivateMessage,
+  parseDice,
+  rollDice
+};
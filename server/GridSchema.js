@@ -0,0 +1,38 @@
+const { validateValue } = require('./HexActionSchema');
+const shared = require('./shared');
+
+// Largest grid a room may use; a full-map batch must still fit in one update
+const MAX_GRID_HEXES = 5000;
+
+// Schema for grid definitions sent by hosts. Every field is optional; missing
+// ones are filled in by GridShapes.createGrid.
+const GRID_SCHEMA = {
+  type: 'object',
+  fields: {
+    shape: { type: 'string', pattern: /^(hexagon|rectangle|parallelogram|triangle)$/ },
+    radius: { type: 'number', integer: true, min: 0, max: 40 },
+    width: { type: 'number', integer: true, min: 1, max: 100 },
+    height: { type: 'number', integer: true, min: 1, max: 100 },
+    size: { type: 'number', integer: true, min: 1, max: 100 },
+    hexSize: { type: 'number', min: 0.5, max: 5 }
+  }
+};
+
+// Validate a grid definition sent by a client
+function validateGrid(grid) {
+  const error = validateValue(grid, GRID_SCHEMA, 'grid');
+  if (error) return { valid: false, error };
+
+  const count = shared.GridShapes.countHexes(shared.GridShapes.createGrid(grid));
+  if (count > MAX_GRID_HEXES) {
+    return { valid: false, error: `grid has ${count} hexes, the most allowed is ${MAX_GRID_HEXES}` };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  GRID_SCHEMA,
+  MAX_GRID_HEXES,
+  validateGrid
+};
@@ -0,0 +1,104 @@
+// Schema for the actions clients may apply to a hex. Every field is optional,
+// but unknown fields are rejected so clients can't write arbitrary data into
+// shared room state. Nullable fields may be sent as null to clear them.
+
+const MAX_HEX_HEIGHT = 50;
+const MAX_ROTATION = Math.PI * 2;
+
+const HEX_ACTION_SCHEMA = {
+  type: 'object',
+  fields: {
+    color: { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/, nullable: true }, // null clears the hex's colour
+    height: { type: 'number', min: 0.01, max: MAX_HEX_HEIGHT, nullable: true }, // null flattens the hex
+    voxelModel: {
+      type: 'object',
+      nullable: true, // null removes the hex's model
+      fields: {
+        type: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,64}$/, required: true },
+        scale: { type: 'number', min: 0.1, max: 10 },
+        rotation: {
+          type: 'object',
+          fields: {
+            x: { type: 'number', min: -MAX_ROTATION, max: MAX_ROTATION },
+            y: { type: 'number', min: -MAX_ROTATION, max: MAX_ROTATION },
+            z: { type: 'number', min: -MAX_ROTATION, max: MAX_ROTATION }
+          }
+        },
+        animate: { type: 'boolean' },
+        hoverRange: { type: 'number', min: 0, max: 5 },
+        hoverSpeed: { type: 'number', min: 0, max: 10 },
+        rotateSpeed: { type: 'number', min: 0, max: 10 }
+      }
+    }
+  }
+};
+
+// Hex IDs are axial coordinates written as "q,r"
+const HEX_ID_PATTERN = /^-?\d{1,4},-?\d{1,4}$/;
+
+// Check a value against a schema node, returning an error message or null
+function validateValue(value, schema, path) {
+  if (value === null && schema.nullable) return null;
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${path} must be a string`;
+      if (schema.pattern && !schema.pattern.test(value)) return `${path} has an invalid format`;
+      return null;
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+      if (schema.integer && !Number.isInteger(value)) return `${path} must be a whole number`;
+      if (value < schema.min || value > schema.max) {
+        return `${path} must be between ${schema.min} and ${schema.max}`;
+      }
+      return null;
+
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${path} must be true or false`;
+
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+
+      for (const key of Object.keys(value)) {
+        if (!schema.fields[key]) return `${path}.${key} is not allowed`;
+
+        const error = validateValue(value[key], schema.fields[key], `${path}.${key}`);
+        if (error) return error;
+      }
+
+      for (const key of Object.keys(schema.fields)) {
+        if (schema.fields[key].required && value[key] === undefined) return `${path}.${key} is required`;
+      }
+      return null;
+    }
+
+    default:
+      return `${path} has an unknown type`;
+  }
+}
+
+// Validate a hex action sent by a client
+function validateHexAction(action) {
+  const error = validateValue(action, HEX_ACTION_SCHEMA, 'action');
+  if (error) return { valid: false, error };
+
+  if (Object.keys(action).length === 0) {
+    return { valid: false, error: 'action must change at least one field' };
+  }
+
+  return { valid: true };
+}
+
+// Check that a hex ID is well formed
+function isValidHexId(hexId) {
+  return typeof hexId === 'string' && HEX_ID_PATTERN.test(hexId);
+}
+
+module.exports = {
+  HEX_ACTION_SCHEMA,
+  MAX_HEX_HEIGHT,
+  validateValue,
+  validateHexAction,
+  isValidHexId
+};
@@ -0,0 +1,98 @@
+const { validateHexAction, isValidHexId } = require('./HexActionSchema');
+const { validateTerrainRecipe } = require('./TerrainRecipeSchema');
+const { validateGrid } = require('./GridSchema');
+const shared = require('./shared');
+
+// Identifies exported map files and the layout they were written with.
+// Bump MAP_FORMAT_VERSION whenever the layout changes and keep reading old versions.
+// Version 2 stores the full grid definition; version 1 maps only have a hexagon radius.
+const MAP_FORMAT = 'hexgrid-map';
+const MAP_FORMAT_VERSION = 2;
+
+// Hex fields that are written to map files
+const MAP_HEX_FIELDS = ['color', 'height', 'voxelModel'];
+
+// Build a versioned map document from a room
+function exportMap(room) {
+  const hexes = {};
+
+  Object.keys(room.hexState).forEach(hexId => {
+    const hex = {};
+    MAP_HEX_FIELDS.forEach(field => {
+      if (room.hexState[hexId][field] !== undefined) {
+        hex[field] = room.hexState[hexId][field];
+      }
+    });
+
+    if (Object.keys(hex).length > 0) {
+      hexes[hexId] = hex;
+    }
+  });
+
+  return {
+    format: MAP_FORMAT,
+    version: MAP_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    grid: { ...room.grid },
+    terrain: room.terrain,
+    hexes
+  };
+}
+
+// Check a map document and return its contents, or an error message
+function parseMap(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    return { valid: false, error: 'Map file must contain a JSON object' };
+  }
+
+  if (doc.format !== MAP_FORMAT) {
+    return { valid: false, error: 'Not a hex grid map file' };
+  }
+
+  if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > MAP_FORMAT_VERSION) {
+    return { valid: false, error: `Unsupported map version: ${doc.version}` };
+  }
+
+  if (doc.version === 1 && (!doc.grid || !Number.isInteger(doc.grid.radius) || doc.grid.radius < 0)) {
+    return { valid: false, error: 'Map grid must have a whole-number radius' };
+  }
+
+  const gridValidation = validateGrid(doc.grid);
+  if (!gridValidation.valid) return { valid: false, error: gridValidation.error };
+
+  if (doc.terrain !== null && doc.terrain !== undefined) {
+    const validation = validateTerrainRecipe(doc.terrain);
+    if (!validation.valid) return { valid: false, error: validation.error };
+  }
+
+  if (!doc.hexes || typeof doc.hexes !== 'object' || Array.isArray(doc.hexes)) {
+    return { valid: false, error: 'Map must contain a hexes object' };
+  }
+
+  for (const hexId of Object.keys(doc.hexes)) {
+    if (!isValidHexId(hexId)) {
+      return { valid: false, error: `Invalid hex ID in map: ${hexId}` };
+    }
+
+    const validation = validateHexAction(doc.hexes[hexId]);
+    if (!validation.valid) {
+      return { valid: false, error: `Hex ${hexId}: ${validation.error}` };
+    }
+  }
+
+  return {
+    valid: true,
+    map: {
+      grid: shared.GridShapes.createGrid(doc.grid),
+      terrain: doc.terrain || null,
+      hexes: doc.hexes
+    }
+  };
+}
+
+module.exports = {
+  MAP_FORMAT,
+  MAP_FORMAT_VERSION,
+  exportMap,
+  parseMap
+};
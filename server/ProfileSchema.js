@@ -0,0 +1,37 @@
+const { validateValue } = require('./HexActionSchema');
+
+// Session tokens are generated by clients and never shown to other users
+const SESSION_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Schema for the profile a user chooses for themselves. Names are escaped by
+// clients when displayed, so only their length and control characters are checked.
+const PROFILE_SCHEMA = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', pattern: /^[^\u0000-\u001f\u007f]{1,32}$/ },
+    color: { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/ }
+  }
+};
+
+// Validate a profile update sent by a client
+function validateProfile(profile) {
+  const error = validateValue(profile, PROFILE_SCHEMA, 'profile');
+  if (error) return { valid: false, error };
+
+  if (profile.name !== undefined && profile.name.trim().length === 0) {
+    return { valid: false, error: 'profile.name must not be blank' };
+  }
+
+  return { valid: true };
+}
+
+// Check that a session token is well formed
+function isValidSessionToken(token) {
+  return typeof token === 'string' && SESSION_TOKEN_PATTERN.test(token);
+}
+
+module.exports = {
+  PROFILE_SCHEMA,
+  validateProfile,
+  isValidSessionToken
+};
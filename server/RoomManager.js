@@ -1,102 +1,1004 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const JsonFileStore = require('./storage/JsonFileStore');
+const { validateHexAction, isValidHexId } = require('./HexActionSchema');
+const { validateTerrainRecipe } = require('./TerrainRecipeSchema');
+const { validateGrid } = require('./GridSchema');
+const { validateProfile, isValidSessionToken } = require('./ProfileSchema');
+const { exportMap, parseMap } = require('./MapFormat');
+const { validatePassword, hashPassword, verifyPassword } = require('./RoomPassword');
+const shared = require('./shared');
+
+// How long an empty room is kept before it is deleted (24 hours)
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Largest number of hex updates accepted in one batch
+const MAX_BATCH_SIZE = 5000;
+
+// Number of operations each room can undo
+const MAX_HISTORY_LENGTH = 50;
+
+// Number of chat messages each room keeps for users who join later
+const DEFAULT_CHAT_HISTORY_LENGTH = 100;
+
+// Longest chat message accepted, in characters
+const MAX_CHAT_MESSAGE_LENGTH = 500;
+
+// Hex fields clients render; the rest of a hex's state is bookkeeping
+const HEX_FIELDS = ['color', 'height', 'voxelModel'];
+
+// Top colour of a hex with no colour of its own, as clients draw it
+const DEFAULT_HEX_COLOR = '#ffffff';
+
+// Colours every new room's shared palette starts with
+const DEFAULT_PALETTE = ['#4caf50', '#2e7d32', '#c2b280', '#8b5a2b', '#9e9e9e', '#3a7bd5', '#1b4f8a', '#ffffff'];
+
+// Most colours a room's palette can hold
+const MAX_PALETTE_SIZE = 24;
+
+// Palette colours are written #rrggbb
+const PALETTE_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Roles the host can give other users; the host's own role is 'host'
+const ASSIGNABLE_ROLES = ['editor', 'viewer'];
+const DEFAULT_ROLE = 'editor';
+
+// What each role may do in a room
+const ROLE_PERMISSIONS = {
+  host: ['presence', 'chat', 'edit', 'manage'],
+  editor: ['presence', 'chat', 'edit'],
+  viewer: ['presence', 'chat']
+};
+
+// Room codes are this many characters drawn from ROOM_CODE_CHARS
+const ROOM_CODE_LENGTH = 6;
+const ROOM_CODE_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const ROOM_CODE_PATTERN = new RegExp(`^[${ROOM_CODE_CHARS}]{${ROOM_CODE_LENGTH}}$`);
+
+// Colours given to users who haven't picked one
+const USER_COLORS = ['#e74c3c', '#3498db', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#e67e22', '#ff6b9d'];
+
+// Describe a grid definition for error messages, e.g. "hexagon, radius 17, hex size 1"
+function describeGrid(grid) {
+  const dimensions = Object.keys(grid)
+    .filter(key => key !== 'shape' && key !== 'hexSize')
+    .map(key => `${key} ${grid[key]}`);
+  return [grid.shape, ...dimensions, `hex size ${grid.hexSize}`].join(', ');
+}
+
+// Derive the public user ID from a session token, so the token itself is never shared
+function getUserId(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').substring(0, 16);
+}
 
 class RoomManager {
-  constructor() {
-    this.rooms = {}; // Maps room codes to room state
-    this.userRooms = {}; // Maps user IDs to room codes they're in
+  constructor(options = {}) {
+    // Keys come from clients, so these maps have no prototype for a key like
+    // 'constructor' to find
+    this.rooms = Object.create(null); // Maps room codes to room state
+    this.userRooms = Object.create(null); // Maps socket IDs to room codes they're in
+    this.sessions = Object.create(null); // Maps session tokens to users ({ id, name, color })
+
+    // Storage backend used to persist rooms between restarts
+    this.store = options.store || new JsonFileStore();
+
+    // How long empty rooms are kept before being deleted
+    this.retentionMs = options.retentionMs !== undefined ? options.retentionMs : DEFAULT_RETENTION_MS;
+
+    // How many chat messages each room keeps; 0 keeps none
+    this.chatHistoryLength = options.chatHistoryLength !== undefined
+      ? options.chatHistoryLength
+      : DEFAULT_CHAT_HISTORY_LENGTH;
   }
 
-  // Generate a unique room code
+  // Check that a room code sent by a client has the form generated room codes take
+  isValidRoomCode(roomCode) {
+    return typeof roomCode === 'string' && ROOM_CODE_PATTERN.test(roomCode);
+  }
+
+  // Generate a room code that no room in memory or in storage is using
   generateRoomCode() {
-    // Create a simple 6-character alphanumeric code
-    return Math.random().toString(36).substring(2, 8).toUpperCase();
+    let roomCode;
+    do {
+      roomCode = Array.from({ length: ROOM_CODE_LENGTH }, () =>
+        ROOM_CODE_CHARS[crypto.randomInt(ROOM_CODE_CHARS.length)]
+      ).join('');
+    } while (this.rooms[roomCode] || this.store.loadRoom(roomCode));
+
+    return roomCode;
+  }
+
+  // Find or create the user behind a session token. The public user ID is
+  // derived from the token, so it stays the same across reconnects and restarts
+  // without the token itself ever being shared.
+  identifyUser(token) {
+    if (!isValidSessionToken(token)) {
+      return { success: false, error: 'Invalid session token' };
+    }
+
+    if (!this.sessions[token]) {
+      const id = getUserId(token);
+      this.sessions[token] = {
+        id,
+        name: `Guest-${id.substring(0, 4).toUpperCase()}`,
+        color: USER_COLORS[parseInt(id.substring(0, 8), 16) % USER_COLORS.length]
+      };
+    }
+
+    return { success: true, user: this.sessions[token] };
+  }
+
+  // Change a user's display name and colour, returning the rooms that need to hear about it
+  updateUserProfile(user, profile) {
+    const validation = validateProfile(profile);
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+
+    if (profile.name !== undefined) user.name = profile.name.trim();
+    if (profile.color !== undefined) user.color = profile.color;
+
+    // Rooms remember their members so names still resolve after they leave
+    const rooms = Object.keys(this.rooms).filter(roomCode => this.rooms[roomCode].users.includes(user.id));
+    rooms.forEach(roomCode => {
+      this.rooms[roomCode].members[user.id] = { name: user.name, color: user.color };
+      this.saveRoom(roomCode);
+    });
+
+    return { success: true, user, rooms };
+  }
+
+  // Record a socket of a user as connected to a room. Spectator sockets only
+  // watch: they don't make their user a member of the room.
+  addConnection(roomCode, user, socketId, spectator = false) {
+    const room = this.rooms[roomCode];
+
+    // Associate the socket with this room
+    if (!this.userRooms[socketId]) {
+      this.userRooms[socketId] = [];
+    }
+    this.userRooms[socketId].push(roomCode);
+    room.emptySince = null;
+
+    if (spectator) {
+      room.spectators[socketId] = user.id;
+      return false;
+    }
+
+    const firstConnection = !room.users.includes(user.id);
+
+    if (firstConnection) {
+      room.users.push(user.id);
+    }
+    room.connections[socketId] = user.id;
+    room.members[user.id] = { name: user.name, color: user.color };
+
+    return firstConnection;
   }
 
-  // Create a new room
-  createRoom(userId) {
+  // Create a new room on a grid chosen by the host, optionally protected by a password
+  createRoom(user, socketId, options = {}) {
+    if (options.grid !== undefined) {
+      const validation = validateGrid(options.grid);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+    }
+
+    const passwordValidation = validatePassword(options.password);
+    if (!passwordValidation.valid) {
+      return { success: false, error: passwordValidation.error };
+    }
+
     const roomCode = this.generateRoomCode();
     
     this.rooms[roomCode] = {
-      host: userId,
-      users: [userId],
+      host: user.id,
+      users: [], // IDs of connected users
+      connections: {}, // Maps connected socket IDs to user IDs; a user may have several
+      spectators: {}, // Maps socket IDs that only watch to user IDs
+      presence: {}, // Maps connected user IDs to the hexes they hover and have selected
+      members: {}, // Name and colour of everyone who has been in the room
+      roles: {}, // Maps user IDs to roles given by the host; others get DEFAULT_ROLE
+      kicked: [], // IDs of users the host removed, who can't rejoin
       hexState: {}, // Will store the state of each hex
-      createdAt: Date.now()
+      version: 0, // Incremented on every change so clients can tell if they missed any
+      grid: shared.GridShapes.createGrid(options.grid),
+      gridHexIds: null, // Set of the grid's hex IDs, built on first use
+      terrain: null, // Recipe of the last generated terrain
+      history: { undo: [], redo: [] }, // Operations that can be undone and redone
+      chat: [], // Most recent chat messages, oldest first
+      palette: DEFAULT_PALETTE.slice(), // Colours shared by everyone in the room
+      password: options.password ? hashPassword(options.password) : null, // { salt, hash } if protected
+      createdAt: Date.now(),
+      emptySince: null // Set when the last user leaves
     };
     
-    // Associate the user with this room
-    if (!this.userRooms[userId]) {
-      this.userRooms[userId] = [];
-    }
-    this.userRooms[userId].push(roomCode);
+    this.addConnection(roomCode, user, socketId);
+    this.saveRoom(roomCode);
     
-    return roomCode;
+    return {
+      success: true,
+      roomCode,
+      grid: this.rooms[roomCode].grid,
+      palette: this.rooms[roomCode].palette,
+      protected: !!options.password
+    };
   }
 
-  // Add a user to an existing room
-  joinRoom(roomCode, userId) {
-    // Check if room exists
-    if (!this.rooms[roomCode]) {
+  // Add a user's socket to an existing room, optionally as a spectator. A
+  // client rejoining after a dropped connection passes the room version it last
+  // saw; if nothing has changed since, the hex state isn't sent again.
+  // Protected rooms need the password unless the user has been in them before.
+  joinRoom(roomCode, user, socketId, { knownVersion, spectator = false, password } = {}) {
+    // Check if room exists, loading it from storage if it isn't in memory
+    if (!this.rooms[roomCode] && !this.loadRoom(roomCode)) {
       return { success: false, error: 'Room not found' };
     }
-    
-    // Add user to room
-    this.rooms[roomCode].users.push(userId);
-    
-    // Associate the user with this room
-    if (!this.userRooms[userId]) {
-      this.userRooms[userId] = [];
+
+    if (this.rooms[roomCode].kicked.includes(user.id)) {
+      return { success: false, error: 'You have been removed from this room' };
     }
-    this.userRooms[userId].push(roomCode);
+
+    const passwordError = this.checkRoomPassword(roomCode, user.id, password);
+    if (passwordError) {
+      return { success: false, error: passwordError, passwordRequired: true };
+    }
+    
+    // Add user to room; a second tab of the same user doesn't count as a new user
+    const firstConnection = this.addConnection(roomCode, user, socketId, spectator);
+
+    this.saveRoom(roomCode);
     
+    const room = this.rooms[roomCode];
+    const upToDate = knownVersion === room.version;
+
     return { 
       success: true, 
-      state: this.rooms[roomCode].hexState 
+      firstConnection,
+      spectator,
+      spectators: this.getSpectatorCount(roomCode),
+      protected: !!room.password,
+      upToDate,
+      version: room.version,
+      members: this.rooms[roomCode].members,
+      users: room.users,
+      host: room.host,
+      roles: room.roles,
+      presence: room.presence,
+      chat: room.chat,
+      palette: room.palette,
+      state: upToDate ? null : this.rooms[roomCode].hexState,
+      grid: this.rooms[roomCode].grid,
+      terrain: this.rooms[roomCode].terrain
     };
   }
 
-  // Update the state of a hex in a room
-  updateHexState(roomCode, hexId, action) {
-    if (!this.rooms[roomCode]) return false;
-    
-    this.rooms[roomCode].hexState[hexId] = {
-      ...this.rooms[roomCode].hexState[hexId],
-      ...action,
-      lastUpdated: Date.now()
+  // Check a password given to join a protected room, returning an error
+  // message or null. Members of the room don't need it.
+  checkRoomPassword(roomCode, userId, password) {
+    const room = this.rooms[roomCode];
+    if (!room.password || room.members[userId]) return null;
+    if (password === undefined || password === '') return 'This room needs a password';
+    return verifyPassword(password, room.password) ? null : 'Wrong password';
+  }
+
+  // Get a user's role in a room
+  getRole(roomCode, userId) {
+    const room = this.rooms[roomCode];
+    if (!room) return null;
+    if (room.host === userId) return 'host';
+    return room.roles[userId] || DEFAULT_ROLE;
+  }
+
+  // Count the users watching a room as spectators
+  getSpectatorCount(roomCode) {
+    const room = this.rooms[roomCode];
+    return room ? new Set(Object.values(room.spectators)).size : 0;
+  }
+
+  // Get the IDs and names of the users connected to a room
+  getRoomUsers(roomCode) {
+    const room = this.rooms[roomCode];
+    if (!room) return [];
+    return room.users.map(userId => ({ id: userId, name: room.members[userId].name }));
+  }
+
+  // Get the sockets a user has connected to a room, not counting spectator sockets
+  getUserSockets(roomCode, userId) {
+    const room = this.rooms[roomCode];
+    if (!room) return [];
+    return Object.keys(room.connections).filter(socketId => room.connections[socketId] === userId);
+  }
+
+  // Check that a user is in a room and their role allows an action ('presence',
+  // 'chat', 'edit' or 'manage'), returning an error message or null. Passing the
+  // socket ID also checks that socket joined the room, and refuses sockets that
+  // joined as spectators.
+  checkPermission(roomCode, userId, permission, socketId) {
+    const room = this.rooms[roomCode];
+    if (!room) return 'Room not found';
+    if (socketId && room.spectators[socketId]) return 'Spectators can only watch';
+    if (!room.users.includes(userId)) return 'You are not in this room';
+    if (socketId && room.connections[socketId] !== userId) return 'You are not in this room';
+
+    const role = this.getRole(roomCode, userId);
+    if (!ROLE_PERMISSIONS[role].includes(permission)) {
+      return permission === 'manage' ? 'Only the host can do that' : `Your role (${role}) can't edit this room`;
+    }
+
+    return null;
+  }
+
+  // Give a user in a room a new role. Only the host may do this, from a socket
+  // in the room.
+  setUserRole(roomCode, hostId, userId, role, socketId) {
+    const error = this.checkPermission(roomCode, hostId, 'manage', socketId);
+    if (error) {
+      return { success: false, error };
+    }
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return { success: false, error: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` };
+    }
+
+    const room = this.rooms[roomCode];
+    if (userId === room.host) {
+      return { success: false, error: "The host's role can't be changed" };
+    }
+
+    if (typeof userId !== 'string' || !Object.hasOwn(room.members, userId)) {
+      return { success: false, error: 'User not found in this room' };
+    }
+
+    room.roles[userId] = role;
+    this.saveRoom(roomCode);
+
+    return { success: true };
+  }
+
+  // Remove a user from a room and stop them rejoining. Only the host may do
+  // this, from a socket in the room. Returns the IDs of the user's sockets that
+  // were connected, whether the user was a member connected to the room and
+  // whether any of the sockets were spectating.
+  kickUser(roomCode, hostId, userId, socketId) {
+    const error = this.checkPermission(roomCode, hostId, 'manage', socketId);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const room = this.rooms[roomCode];
+    if (userId === room.host) {
+      return { success: false, error: "The host can't be removed" };
+    }
+
+    if (typeof userId !== 'string' || !Object.hasOwn(room.members, userId)) {
+      return { success: false, error: 'User not found in this room' };
+    }
+
+    if (!room.kicked.includes(userId)) {
+      room.kicked.push(userId);
+    }
+
+    const socketIds = [room.connections, room.spectators].flatMap(sockets =>
+      Object.keys(sockets).filter(socketId => sockets[socketId] === userId)
+    );
+    const roomsLeft = socketIds.flatMap(socketId => this.removeConnection(socketId, roomCode));
+    this.saveRoom(roomCode);
+
+    return {
+      success: true,
+      socketIds,
+      userLeft: roomsLeft.some(left => left.userLeft),
+      spectator: roomsLeft.some(left => left.spectator)
     };
+  }
+
+  // Record which hexes a user is hovering and has selected. Presence isn't
+  // saved; it only lasts while the user is connected.
+  setPresence(roomCode, userId, socketId, { hover, selected }) {
+    const error = this.checkPermission(roomCode, userId, 'presence', socketId);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const invalid = [hover, selected].find(hexId => hexId !== null && !this.isHexInGrid(roomCode, hexId));
+    if (invalid !== undefined) {
+      return { success: false, error: `Hex ${invalid} is not on this room's grid` };
+    }
+
+    const room = this.rooms[roomCode];
+    if (hover === null && selected === null) {
+      delete room.presence[userId];
+    } else {
+      room.presence[userId] = { hover, selected };
+    }
+
+    return { success: true };
+  }
+
+  // Add a chat message to a room's history, dropping the oldest messages once
+  // the history is full. Returns the stored message.
+  addChatMessage(roomCode, userId, message) {
+    const room = this.rooms[roomCode];
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    const error = this.validateChatMessage(message);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const entry = { userId, message, timestamp: Date.now() };
+    this.recordChatEntry(roomCode, entry);
+
+    return { success: true, entry };
+  }
+
+  // Check that a chat message is text of an allowed length, returning an
+  // error message or null
+  validateChatMessage(message) {
+    if (typeof message !== 'string') return 'Message must be text';
+    if (message.trim() === '') return 'Message must not be empty';
+    if (message.length > MAX_CHAT_MESSAGE_LENGTH) {
+      return `Messages can be at most ${MAX_CHAT_MESSAGE_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  // Add a message from the room itself, such as a dice roll result, to the
+  // chat history. Details (e.g. who rolled and the roll's seed) are stored
+  // with it.
+  addSystemMessage(roomCode, message, details = {}) {
+    if (!this.rooms[roomCode]) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    const entry = { ...details, type: 'system', message, timestamp: Date.now() };
+    this.recordChatEntry(roomCode, entry);
+
+    return { success: true, entry };
+  }
+
+  // Store a chat entry, dropping the oldest once the history is full
+  recordChatEntry(roomCode, entry) {
+    if (this.chatHistoryLength === 0) return;
+
+    const room = this.rooms[roomCode];
+    room.chat.push(entry);
+    if (room.chat.length > this.chatHistoryLength) {
+      room.chat.splice(0, room.chat.length - this.chatHistoryLength);
+    }
+    this.saveRoom(roomCode);
+  }
+
+  // Add a colour to a room's shared palette
+  addPaletteColor(roomCode, color) {
+    const room = this.rooms[roomCode];
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    if (typeof color !== 'string' || !PALETTE_COLOR_PATTERN.test(color)) {
+      return { success: false, error: 'Colour must be written #rrggbb' };
+    }
+
+    const normalized = color.toLowerCase();
+    if (room.palette.includes(normalized)) {
+      return { success: false, error: 'That colour is already in the palette' };
+    }
+
+    if (room.palette.length >= MAX_PALETTE_SIZE) {
+      return { success: false, error: `The palette can't hold more than ${MAX_PALETTE_SIZE} colours` };
+    }
+
+    room.palette.push(normalized);
+    this.saveRoom(roomCode);
+
+    return { success: true, palette: room.palette };
+  }
+
+  // Remove a colour from a room's shared palette
+  removePaletteColor(roomCode, color) {
+    const room = this.rooms[roomCode];
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    const index = typeof color === 'string' ? room.palette.indexOf(color.toLowerCase()) : -1;
+    if (index === -1) {
+      return { success: false, error: "That colour isn't in the palette" };
+    }
+
+    room.palette.splice(index, 1);
+    this.saveRoom(roomCode);
+
+    return { success: true, palette: room.palette };
+  }
+
+  // Check whether a hex ID lies inside a room's grid
+  isHexInGrid(roomCode, hexId) {
+    const room = this.rooms[roomCode];
+    if (!room || !isValidHexId(hexId)) return false;
+
+    if (!room.gridHexIds) {
+      room.gridHexIds = new Set(this.getGridHexes(roomCode).map(({ q, r }) => `${q},${r}`));
+    }
+
+    return room.gridHexIds.has(hexId);
+  }
+
+  // Get the coordinates of every hex in a room's grid
+  getGridHexes(roomCode) {
+    const room = this.rooms[roomCode];
+    return room ? shared.GridShapes.getHexes(room.grid) : [];
+  }
+
+  // Check that a hex update is allowed in a room, returning an error message or null
+  validateHexUpdate(roomCode, hexId, action) {
+    if (!this.isHexInGrid(roomCode, hexId)) {
+      return `Hex ${hexId} is not on this room's grid`;
+    }
+
+    const validation = validateHexAction(action);
+    return validation.valid ? null : validation.error;
+  }
+
+  // Merge already validated actions into hex states and record them as one
+  // undoable operation. Fields set to null are removed from the hex.
+  // Options: terrain (recipe stored with the operation), userId (author of the change)
+  applyHexActions(roomCode, updates, options = {}) {
+    const room = this.rooms[roomCode];
+    const { terrain, userId } = options;
+    const now = Date.now();
+
+    const changes = updates.map(({ hexId, action }) => {
+      const before = room.hexState[hexId] ? { ...room.hexState[hexId] } : null;
+      const state = {
+        ...before,
+        ...action,
+        lastUpdated: now
+      };
+
+      if (userId) {
+        state.updatedBy = userId;
+      }
+
+      Object.keys(action).forEach(field => {
+        if (action[field] === null) delete state[field];
+      });
+
+      room.hexState[hexId] = state;
+
+      return { hexId, before, after: { ...room.hexState[hexId] } };
+    });
+
+    const operation = { changes };
+    if (terrain !== undefined) {
+      operation.terrain = { before: room.terrain, after: terrain };
+      room.terrain = terrain;
+    }
+
+    // A new operation makes anything that was undone impossible to redo
+    room.history.undo.push(operation);
+    room.history.redo = [];
+    if (room.history.undo.length > MAX_HISTORY_LENGTH) {
+      room.history.undo.shift();
+    }
+
+    room.version++;
+    this.saveRoom(roomCode);
+  }
+
+  // Build the action that turns one hex state into another on clients.
+  // Fields that are being cleared are sent as null.
+  diffHexState(from, to) {
+    const action = {};
+
+    HEX_FIELDS.forEach(field => {
+      const fromValue = from ? from[field] : undefined;
+      const toValue = to ? to[field] : undefined;
+
+      if (JSON.stringify(fromValue) !== JSON.stringify(toValue)) {
+        action[field] = toValue === undefined ? null : toValue;
+      }
+    });
+
+    return action;
+  }
+
+  // Replace hex states with snapshots, returning the updates clients need to apply
+  restoreHexStates(room, snapshots) {
+    const originals = {};
+
+    snapshots.forEach(({ hexId, state }) => {
+      if (!(hexId in originals)) {
+        originals[hexId] = room.hexState[hexId] || null;
+      }
+
+      if (state) {
+        room.hexState[hexId] = { ...state };
+      } else {
+        delete room.hexState[hexId];
+      }
+    });
+
+    return Object.keys(originals)
+      .map(hexId => ({ hexId, action: this.diffHexState(originals[hexId], room.hexState[hexId]) }))
+      .filter(({ action }) => Object.keys(action).length > 0);
+  }
+
+  // Undo the most recent operation in a room
+  undo(roomCode) {
+    const room = this.rooms[roomCode];
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    const operation = room.history.undo.pop();
+    if (!operation) {
+      return { success: false, error: 'Nothing to undo' };
+    }
+
+    // Walk the changes backwards so a hex changed twice ends up in its first state
+    const snapshots = operation.changes
+      .slice()
+      .reverse()
+      .map(({ hexId, before }) => ({ hexId, state: before }));
+    const updates = this.restoreHexStates(room, snapshots);
+
+    if (operation.terrain) {
+      room.terrain = operation.terrain.before;
+    }
+
+    room.history.redo.push(operation);
+    room.version++;
+    this.saveRoom(roomCode);
+
+    return { success: true, updates, version: room.version };
+  }
+
+  // Redo the most recently undone operation in a room
+  redo(roomCode) {
+    const room = this.rooms[roomCode];
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    const operation = room.history.redo.pop();
+    if (!operation) {
+      return { success: false, error: 'Nothing to redo' };
+    }
+
+    const snapshots = operation.changes.map(({ hexId, after }) => ({ hexId, state: after }));
+    const updates = this.restoreHexStates(room, snapshots);
+
+    if (operation.terrain) {
+      room.terrain = operation.terrain.after;
+    }
+
+    room.history.undo.push(operation);
+    room.version++;
+    this.saveRoom(roomCode);
+
+    return { success: true, updates, version: room.version };
+  }
+
+  // Update the state of a hex in a room
+  updateHexState(roomCode, hexId, action, userId) {
+    const room = this.rooms[roomCode];
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    const error = this.validateHexUpdate(roomCode, hexId, action);
+    if (error) {
+      return { success: false, error };
+    }
+
+    this.applyHexActions(roomCode, [{ hexId, action }], { userId });
     
-    return true;
+    return { success: true, version: room.version };
   }
 
-  // Remove a user from all rooms they're in
-  removeUserFromRooms(userId) {
+  // Update many hexes at once. Either every update is applied or none are.
+  updateHexStates(roomCode, updates, userId) {
+    const room = this.rooms[roomCode];
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    if (!Array.isArray(updates) || updates.length === 0) {
+      return { success: false, error: 'Batch must contain at least one update' };
+    }
+
+    if (updates.length > MAX_BATCH_SIZE) {
+      return { success: false, error: `Batch can't contain more than ${MAX_BATCH_SIZE} updates` };
+    }
+
+    // Validate everything before touching the room state
+    for (const update of updates) {
+      const { hexId, action } = update || {};
+      const error = this.validateHexUpdate(roomCode, hexId, action);
+      if (error) {
+        return { success: false, error };
+      }
+    }
+
+    this.applyHexActions(roomCode, updates.map(({ hexId, action }) => ({ hexId, action })), { userId });
+
+    return { success: true, version: room.version };
+  }
+
+  // Rebuild a room's terrain from a recipe and store the recipe with the room
+  generateTerrain(roomCode, options = {}, userId) {
+    const room = this.rooms[roomCode];
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    const validation = validateTerrainRecipe(options);
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+
+    // Peaks are spread relative to the room's grid unless the recipe says otherwise
+    const peaks = options.peaks || {};
+    const generator = new shared.TerrainGenerator({
+      ...options,
+      peaks: {
+        ...peaks,
+        spread: peaks.spread !== undefined ? peaks.spread : shared.GridShapes.getExtent(room.grid) * 1.5
+      }
+    });
+
+    // The whole terrain is applied as one operation so it can be undone in one step
+    const heights = generator.generate(this.getGridHexes(roomCode));
+    const updates = Object.keys(heights).map(hexId => ({
+      hexId,
+      action: { height: heights[hexId] }
+    }));
+    this.applyHexActions(roomCode, updates, { terrain: generator.recipe, userId });
+
+    return { success: true, recipe: generator.recipe, version: room.version };
+  }
+
+  // Blend every hex of a room's grid towards a colour, as one undoable batch.
+  // Intensity 0 leaves colours as they are and 1 paints every hex the colour.
+  tintHexes(roomCode, color, intensity, userId) {
+    const room = this.rooms[roomCode];
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    if (typeof intensity !== 'number' || !(intensity >= 0 && intensity <= 1)) {
+      return { success: false, error: 'Intensity must be between 0 and 1' };
+    }
+
+    const validation = validateHexAction({ color });
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+
+    const updates = this.getGridHexes(roomCode).map(({ q, r }) => {
+      const hexId = `${q},${r}`;
+      const current = (room.hexState[hexId] && room.hexState[hexId].color) || DEFAULT_HEX_COLOR;
+      return { hexId, action: { color: shared.ColorTint.blend(current, color, intensity) } };
+    });
+
+    const result = this.updateHexStates(roomCode, updates, userId);
+    return result.success ? { ...result, updates } : result;
+  }
+
+  // Get a room as a versioned map document, loading it from storage if needed.
+  // Protected rooms are only exported for members, identified by session token.
+  exportMap(roomCode, token) {
+    const room = this.rooms[roomCode] || this.loadRoom(roomCode);
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    if (room.password && !(isValidSessionToken(token) && room.members[getUserId(token)])) {
+      return { success: false, error: 'Only members can export this room', forbidden: true };
+    }
+
+    return { success: true, map: exportMap(room) };
+  }
+
+  // Replace a room's hexes and terrain with the contents of a map document.
+  // The map must have been made for the same grid (shape, dimensions and hex
+  // size) as the room. The import is applied as one undoable operation, unless
+  // it changes nothing.
+  importMap(roomCode, doc, userId) {
+    const room = this.rooms[roomCode];
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    const result = parseMap(doc);
+    if (!result.valid) {
+      return { success: false, error: result.error };
+    }
+
+    const { grid, hexes, terrain } = result.map;
+    if (JSON.stringify(grid) !== JSON.stringify(room.grid)) {
+      return {
+        success: false,
+        error: `This map was made for a different grid (${describeGrid(grid)}); ` +
+          `this room's grid is ${describeGrid(room.grid)}. Create a room with the map's grid to import it`
+      };
+    }
+
+    for (const hexId of Object.keys(hexes)) {
+      if (!this.isHexInGrid(roomCode, hexId)) {
+        return { success: false, error: `Hex ${hexId} is not on this room's grid` };
+      }
+    }
+
+    // Hexes missing from the map are cleared back to their defaults
+    const hexIds = new Set([...Object.keys(room.hexState), ...Object.keys(hexes)]);
+    const updates = [...hexIds]
+      .map(hexId => ({ hexId, action: this.diffHexState(room.hexState[hexId], hexes[hexId]) }))
+      .filter(({ action }) => Object.keys(action).length > 0);
+
+    if (updates.length === 0 && JSON.stringify(terrain) === JSON.stringify(room.terrain)) {
+      return { success: true, updates, version: room.version };
+    }
+
+    this.applyHexActions(roomCode, updates, { terrain, userId });
+
+    return { success: true, updates, version: room.version };
+  }
+
+  // Remove a socket from all rooms it's in, or just from one room. Returns one
+  // entry per room with the socket's user, whether that user has no
+  // connections left in the room and whether the socket was a spectator.
+  removeConnection(socketId, onlyRoomCode) {
     const roomsLeft = [];
     
-    if (this.userRooms[userId]) {
-      for (const roomCode of this.userRooms[userId]) {
+    if (this.userRooms[socketId]) {
+      for (const roomCode of this.userRooms[socketId]) {
+        if (onlyRoomCode && roomCode !== onlyRoomCode) continue;
+
         const room = this.rooms[roomCode];
-        
-        if (room) {
-          // Remove user from room
-          room.users = room.users.filter(id => id !== userId);
-          roomsLeft.push(roomCode);
-          
-          // If room is empty, clean it up
-          if (room.users.length === 0) {
-            delete this.rooms[roomCode];
+
+        if (room && room.spectators[socketId]) {
+          roomsLeft.push({ roomCode, userId: room.spectators[socketId], userLeft: false, spectator: true });
+          delete room.spectators[socketId];
+        } else if (room && room.connections[socketId]) {
+          const userId = room.connections[socketId];
+          delete room.connections[socketId];
+
+          // The user stays in the room while another of their sockets is
+          // connected, but what this socket was pointing at goes with it
+          const userLeft = !Object.values(room.connections).includes(userId);
+          if (userLeft) {
+            room.users = room.users.filter(id => id !== userId);
           }
+          delete room.presence[userId];
+          roomsLeft.push({ roomCode, userId, userLeft });
+        }
+
+        // If room is empty, keep it around until the retention period runs out
+        if (room && room.emptySince === null && room.users.length === 0 && Object.keys(room.spectators).length === 0) {
+          room.emptySince = Date.now();
+          this.saveRoom(roomCode);
         }
       }
       
-      delete this.userRooms[userId];
+      this.userRooms[socketId] = this.userRooms[socketId].filter(roomCode => onlyRoomCode && roomCode !== onlyRoomCode);
+      if (this.userRooms[socketId].length === 0) {
+        delete this.userRooms[socketId];
+      }
     }
     
     return roomsLeft;
   }
 
+  // Get the codes of the rooms a socket is in
+  getSocketRooms(socketId) {
+    return this.userRooms[socketId] ? this.userRooms[socketId].slice() : [];
+  }
+
   // Get room details
   getRoomState(roomCode) {
     return this.rooms[roomCode] || null;
   }
+
+  // Check whether an empty room has outlived the retention period
+  isExpired(room, now = Date.now()) {
+    return room.emptySince !== null && now - room.emptySince > this.retentionMs;
+  }
+
+  // Load a room from storage into memory
+  loadRoom(roomCode) {
+    const data = this.store.loadRoom(roomCode);
+    if (!data) return null;
+
+    // Nobody is connected to a room that was just loaded
+    const room = {
+      host: data.host,
+      users: [],
+      connections: {},
+      spectators: {},
+      presence: {},
+      members: data.members || {},
+      roles: data.roles || {},
+      kicked: data.kicked || [],
+      hexState: data.hexState || {},
+      version: data.version || 0,
+      grid: shared.GridShapes.createGrid(data.grid), // Rooms saved before grid shapes have only a radius
+      gridHexIds: null,
+      terrain: data.terrain || null,
+      history: { undo: [], redo: [] },
+      chat: this.chatHistoryLength > 0 ? (data.chat || []).slice(-this.chatHistoryLength) : [],
+      palette: data.palette || DEFAULT_PALETTE.slice(), // Rooms saved before palettes get the default
+      password: data.password || null,
+      createdAt: data.createdAt || Date.now(),
+      emptySince: data.emptySince || data.savedAt || Date.now()
+    };
+
+    if (this.isExpired(room)) {
+      this.store.deleteRoom(roomCode);
+      return null;
+    }
+
+    this.rooms[roomCode] = room;
+    return room;
+  }
+
+  // Persist a room's state to storage
+  saveRoom(roomCode) {
+    const room = this.rooms[roomCode];
+    if (!room) return;
+
+    this.store.saveRoom(roomCode, {
+      host: room.host,
+      members: room.members,
+      roles: room.roles,
+      kicked: room.kicked,
+      hexState: room.hexState,
+      version: room.version,
+      grid: room.grid,
+      terrain: room.terrain,
+      chat: room.chat,
+      palette: room.palette,
+      password: room.password,
+      createdAt: room.createdAt,
+      emptySince: room.emptySince,
+      savedAt: Date.now()
+    });
+  }
+
+  // Delete rooms that have been empty for longer than the retention period
+  pruneExpiredRooms(now = Date.now()) {
+    const pruned = [];
+
+    // Rooms in memory
+    Object.keys(this.rooms).forEach(roomCode => {
+      if (this.isExpired(this.rooms[roomCode], now)) {
+        delete this.rooms[roomCode];
+        this.store.deleteRoom(roomCode);
+        pruned.push(roomCode);
+      }
+    });
+
+    // Rooms that only exist in storage, e.g. left over from before a restart.
+    // Deletes finish in the background, so rooms pruned above may still be listed.
+    this.store.listRooms().forEach(roomCode => {
+      if (this.rooms[roomCode] || pruned.includes(roomCode)) return;
+
+      const data = this.store.loadRoom(roomCode);
+      const emptySince = data ? (data.emptySince || data.savedAt) : 0;
+      if (!data || now - emptySince > this.retentionMs) {
+        this.store.deleteRoom(roomCode);
+        pruned.push(roomCode);
+      }
+    });
+
+    return pruned;
+  }
 }
 
-module.exports = RoomManager;
\ No newline at end of file
+module.exports = RoomManager;
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Longest room password accepted, in characters
+const MAX_PASSWORD_LENGTH = 100;
+
+// scrypt output length in bytes; salts are 16 random bytes
+const KEY_LENGTH = 64;
+
+// Validate a password chosen for a new room. An empty or missing password
+// means the room is open.
+function validatePassword(password) {
+  if (password === undefined || password === '') return { valid: true };
+
+  if (typeof password !== 'string') {
+    return { valid: false, error: 'password must be a string' };
+  }
+
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return { valid: false, error: `password must be at most ${MAX_PASSWORD_LENGTH} characters` };
+  }
+
+  return { valid: true };
+}
+
+// Hash a password for storing with its room, returning { salt, hash } as hex
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return { salt: salt.toString('hex'), hash: hash.toString('hex') };
+}
+
+// Check a password against a stored { salt, hash }
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) return false;
+
+  const expected = Buffer.from(stored.hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(stored.salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  validatePassword,
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,33 @@
+const { validateValue } = require('./HexActionSchema');
+
+// Schema for terrain recipes sent by clients. Every field is optional; missing
+// ones are derived from the seed by TerrainGenerator.createRecipe.
+const TERRAIN_RECIPE_SCHEMA = {
+  type: 'object',
+  fields: {
+    seed: { type: 'number', integer: true, min: 0, max: 2147483647 },
+    scale: { type: 'number', min: 0.01, max: 1 },
+    amplitude: { type: 'number', min: 0, max: 25 },
+    octaves: { type: 'number', integer: true, min: 1, max: 8 },
+    peaks: {
+      type: 'object',
+      fields: {
+        count: { type: 'number', integer: true, min: 0, max: 5 },
+        height: { type: 'number', min: 0, max: 20 },
+        width: { type: 'number', min: 0.5, max: 20 },
+        spread: { type: 'number', min: 0, max: 1000 }
+      }
+    }
+  }
+};
+
+// Validate a terrain recipe sent by a client
+function validateTerrainRecipe(recipe) {
+  const error = validateValue(recipe, TERRAIN_RECIPE_SCHEMA, 'recipe');
+  return error ? { valid: false, error } : { valid: true };
+}
+
+module.exports = {
+  TERRAIN_RECIPE_SCHEMA,
+  validateTerrainRecipe
+};
@@ -4,6 +4,10 @@ const path = require('path');
 const fs = require('fs');
 const { Server } = require('socket.io');
 const RoomManager = require('./RoomManager');
+const { isChatCommand, runChatCommand, createPrivateMessage } = require('./ChatCommands');
+const shared = require('./shared');
+const JsonFileStore = require('./storage/JsonFileStore');
+const MemoryStore = require('./storage/MemoryStore');
 
 // Initialize Express app
 const app = express();
@@ -13,8 +17,38 @@ const io = new Server(server);
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Choose where rooms are persisted (ROOM_STORE=memory disables persistence)
+const roomStore = process.env.ROOM_STORE === 'memory'
+  ? new MemoryStore()
+  : new JsonFileStore({ dir: process.env.ROOM_DATA_DIR });
+
 // Initialize room manager
-const roomManager = new RoomManager();
+const roomManager = new RoomManager({
+  store: roomStore,
+  retentionMs: process.env.ROOM_RETENTION_HOURS
+    ? Number(process.env.ROOM_RETENTION_HOURS) * 60 * 60 * 1000
+    : undefined,
+  chatHistoryLength: process.env.CHAT_HISTORY_LENGTH
+    ? Number(process.env.CHAT_HISTORY_LENGTH)
+    : undefined
+});
+
+// Periodically delete rooms that have been empty for too long
+roomManager.pruneExpiredRooms();
+setInterval(() => {
+  const pruned = roomManager.pruneExpiredRooms();
+  if (pruned.length > 0) {
+    console.log(`Deleted expired rooms: ${pruned.join(', ')}`);
+  }
+}, 10 * 60 * 1000).unref();
+
+// Make sure pending room writes reach storage before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    roomStore.flush();
+    process.exit(0);
+  });
+});
 
 // Add this to server.js after your other routes
 app.get('/api/models', (req, res) => {
@@ -36,27 +70,174 @@ app.get('/api/models', (req, res) => {
   });
 });
 
+// Download a room's map as a versioned JSON file. Protected rooms need the
+// session token of a member in the X-Session-Token header.
+app.get('/api/rooms/:code/export', (req, res) => {
+  const roomCode = req.params.code.toUpperCase();
+  if (!roomManager.isValidRoomCode(roomCode)) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  const result = roomManager.exportMap(roomCode, req.get('X-Session-Token'));
+
+  if (!result.success) {
+    return res.status(result.forbidden ? 403 : 404).json({ error: result.error });
+  }
+
+  res.attachment(`hexmap-${roomCode}.json`);
+  res.json(result.map);
+});
+
+// Identify every connection by the session token the client keeps between
+// visits. The user is shared by all of that client's sockets.
+io.use((socket, next) => {
+  const { token, name, color } = socket.handshake.auth || {};
+  const result = roomManager.identifyUser(token);
+
+  if (!result.success) {
+    return next(new Error(result.error));
+  }
+
+  // The saved profile is re-sent on every connection, so it survives server restarts
+  const profile = {};
+  if (name !== undefined) profile.name = name;
+  if (color !== undefined) profile.color = color;
+  if (Object.keys(profile).length > 0) {
+    const update = roomManager.updateUserProfile(result.user, profile);
+    if (!update.success) {
+      console.warn(`Ignoring invalid profile from ${result.user.id}: ${update.error}`);
+    }
+  }
+
+  socket.data.user = result.user;
+  next();
+});
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
-  console.log('A user connected:', socket.id);
+  const user = socket.data.user;
+  console.log(`A user connected: ${user.name} (${user.id}) on ${socket.id}`);
+
+  // Every socket of a user shares a channel, so profile changes reach all of them
+  socket.join(`user:${user.id}`);
+  socket.emit('identified', user);
+
+  // Check the user may act on a room, telling them why not if they can't
+  const authorize = (roomCode, permission) => {
+    const error = roomManager.isValidRoomCode(roomCode)
+      ? roomManager.checkPermission(roomCode, user.id, permission, socket.id)
+      : 'Room not found';
+    if (error) {
+      socket.emit('actionError', { hexId: null, error });
+      return false;
+    }
+    return true;
+  };
+
+  // Tell the rooms this socket has left, as returned by removeConnection
+  const announceLeaving = (roomsLeft) => {
+    roomsLeft.forEach(({ roomCode, userId, userLeft, spectator }) => {
+      if (spectator) {
+        socket.to(roomCode).emit('spectatorCount', { count: roomManager.getSpectatorCount(roomCode) });
+      } else if (userLeft) {
+        socket.to(roomCode).emit('userLeft', userId);
+      } else {
+        // Another tab of the user is still there; only this socket's pointer goes
+        socket.to(roomCode).emit('presence', { userId, hover: null, selected: null });
+      }
+    });
+  };
+
+  // Take this socket out of rooms it was in, e.g. before it moves to another room
+  const leaveRooms = (roomCodes) => {
+    roomCodes.forEach(roomCode => {
+      announceLeaving(roomManager.removeConnection(socket.id, roomCode));
+      socket.leave(roomCode);
+    });
+  };
+
+  // Handle display name and colour changes
+  socket.on('updateProfile', (profile) => {
+    const result = roomManager.updateUserProfile(user, profile);
+
+    if (result.success) {
+      io.to(result.rooms).to(`user:${user.id}`).emit('userUpdated', result.user);
+    } else {
+      socket.emit('actionError', { hexId: null, error: result.error });
+    }
+  });
 
   // Handle room creation
-  socket.on('createRoom', () => {
-    const roomCode = roomManager.createRoom(socket.id);
+  socket.on('createRoom', (options) => {
+    const result = roomManager.createRoom(user, socket.id, options || {});
+
+    if (!result.success) {
+      socket.emit('roomError', result.error);
+      return;
+    }
+
+    const { roomCode, grid, palette } = result;
+    leaveRooms(roomManager.getSocketRooms(socket.id).filter(code => code !== roomCode));
     socket.join(roomCode);
-    socket.emit('roomCreated', roomCode);
-    console.log(`Room created: ${roomCode} by ${socket.id}`);
+    socket.emit('roomCreated', { roomCode, grid, palette, version: 0, host: user.id, protected: result.protected });
+    console.log(`Room created: ${roomCode} by ${user.id}`);
   });
 
-  // Handle room joining
-  socket.on('joinRoom', (roomCode) => {
-    const joinResult = roomManager.joinRoom(roomCode, socket.id);
+  // Handle room joining. Clients rejoining after a dropped connection send
+  // { roomCode, version } so an unchanged room isn't sent again,
+  // { spectator: true } joins to watch without editing or chatting, and
+  // { password } is checked by protected rooms.
+  socket.on('joinRoom', (data) => {
+    const { roomCode, version, spectator, password } = typeof data === 'string' ? { roomCode: data } : (data || {});
+    if (!roomManager.isValidRoomCode(roomCode)) {
+      socket.emit('roomError', 'Room not found');
+      return;
+    }
+
+    // A socket is in one room at a time. Joining the room it's already in
+    // replaces its old connection, e.g. to switch between watching and editing.
+    const previousRooms = roomManager.getSocketRooms(socket.id);
+    if (previousRooms.includes(roomCode)) {
+      leaveRooms([roomCode]);
+    }
+
+    const joinResult = roomManager.joinRoom(roomCode, user, socket.id, {
+      knownVersion: version,
+      spectator: spectator === true,
+      password
+    });
 
     if (joinResult.success) {
+      // Leave the old room only once the new one has let us in, so a failed
+      // join leaves the client where it was
+      leaveRooms(previousRooms.filter(code => code !== roomCode));
       socket.join(roomCode);
-      socket.emit('roomJoined', { roomCode, state: joinResult.state });
-      socket.to(roomCode).emit('userJoined', socket.id);
-      console.log(`User ${socket.id} joined room ${roomCode}`);
+      socket.emit('roomJoined', {
+        roomCode,
+        version: joinResult.version,
+        upToDate: joinResult.upToDate,
+        state: joinResult.state,
+        grid: joinResult.grid,
+        terrain: joinResult.terrain,
+        members: joinResult.members,
+        users: joinResult.users,
+        host: joinResult.host,
+        roles: joinResult.roles,
+        presence: joinResult.presence,
+        chat: joinResult.chat,
+        palette: joinResult.palette,
+        spectator: joinResult.spectator,
+        spectators: joinResult.spectators,
+        protected: joinResult.protected
+      });
+      if (joinResult.spectator) {
+        socket.to(roomCode).emit('spectatorCount', { count: joinResult.spectators });
+      } else if (joinResult.firstConnection) {
+        socket.to(roomCode).emit('userJoined', user);
+      }
+      console.log(`User ${user.id} ${joinResult.spectator ? 'is watching' : 'joined'} room ${roomCode}`);
+    } else if (joinResult.passwordRequired) {
+      socket.emit('passwordRequired', { roomCode, spectator: spectator === true, error: joinResult.error });
     } else {
       socket.emit('roomError', joinResult.error);
     }
@@ -64,34 +245,248 @@ io.on('connection', (socket) => {
 
   // Handle hex interaction
   socket.on('hexClicked', (data) => {
-    const { roomCode, hexId, action } = data;
-    if (roomManager.updateHexState(roomCode, hexId, action)) {
-      io.to(roomCode).emit('hexUpdated', { hexId, action });
+    const { roomCode, hexId, action } = data || {};
+    if (!authorize(roomCode, 'edit')) return;
+
+    const result = roomManager.updateHexState(roomCode, hexId, action, user.id);
+
+    if (result.success) {
+      io.to(roomCode).emit('hexUpdated', { hexId, action, userId: user.id, version: result.version });
+    } else {
+      socket.emit('actionError', { hexId, error: result.error });
     }
   });
 
+  // Handle many hex changes sent together, e.g. terrain generation or tinting.
+  // Clients that show a batch before it's applied (the brush) pass an
+  // acknowledgement callback to hear whether it was.
+  socket.on('hexBatchUpdate', (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const { roomCode, updates } = data || {};
+    if (!authorize(roomCode, 'edit')) {
+      reply({ success: false });
+      return;
+    }
+
+    const result = roomManager.updateHexStates(roomCode, updates, user.id);
+
+    if (result.success) {
+      const broadcast = updates.map(({ hexId, action }) => ({ hexId, action }));
+      io.to(roomCode).emit('hexBatchUpdated', { updates: broadcast, userId: user.id, version: result.version });
+    } else {
+      socket.emit('actionError', { hexId: null, error: result.error });
+    }
+    reply({ success: result.success, error: result.error });
+  });
+
+  // Handle terrain generation. Only the recipe is broadcast; every client
+  // rebuilds the same heights from it.
+  socket.on('generateTerrain', (data) => {
+    const { roomCode, recipe } = data || {};
+    if (!authorize(roomCode, 'edit')) return;
+
+    const result = roomManager.generateTerrain(roomCode, recipe, user.id);
+
+    if (result.success) {
+      io.to(roomCode).emit('terrainGenerated', { recipe: result.recipe, userId: user.id, version: result.version });
+      console.log(`Terrain generated in room ${roomCode} with seed ${result.recipe.seed}`);
+    } else {
+      socket.emit('actionError', { hexId: null, error: result.error });
+    }
+  });
+
+  // Handle undo and redo of the room's most recent operation
+  ['undo', 'redo'].forEach(eventName => {
+    socket.on(eventName, (data) => {
+      const { roomCode } = data || {};
+      if (!authorize(roomCode, 'edit')) return;
+
+      const result = roomManager[eventName](roomCode);
+
+      if (result.success) {
+        io.to(roomCode).emit('hexBatchUpdated', { updates: result.updates, userId: user.id, version: result.version });
+      } else {
+        socket.emit('actionError', { hexId: null, error: result.error });
+      }
+    });
+  });
+
+  // Handle adding and removing colours in the room's shared palette
+  ['addPaletteColor', 'removePaletteColor'].forEach(eventName => {
+    socket.on(eventName, (data) => {
+      const { roomCode, color } = data || {};
+      if (!authorize(roomCode, 'edit')) return;
+
+      const result = roomManager[eventName](roomCode, color);
+
+      if (result.success) {
+        io.to(roomCode).emit('paletteUpdated', { palette: result.palette, userId: user.id });
+      } else {
+        socket.emit('actionError', { hexId: null, error: result.error });
+      }
+    });
+  });
+
+  // Handle importing a map file into the room
+  socket.on('importMap', (data) => {
+    const { roomCode, map } = data || {};
+    if (!authorize(roomCode, 'edit')) return;
+
+    const result = roomManager.importMap(roomCode, map, user.id);
+
+    if (result.success) {
+      if (result.updates.length > 0) {
+        io.to(roomCode).emit('hexBatchUpdated', { updates: result.updates, userId: user.id, version: result.version });
+      }
+      console.log(`Map imported into room ${roomCode} (${result.updates.length} hexes changed)`);
+    } else {
+      socket.emit('actionError', { hexId: null, error: result.error });
+    }
+  });
+
+  // Run a slash command typed in chat and send out whatever it produced
+  const handleChatCommand = (roomCode, message) => {
+    let result;
+    try {
+      result = runChatCommand(message, { roomManager, roomCode, user, socketId: socket.id });
+    } catch (error) {
+      // A broken command shouldn't take the server down with it
+      console.error(`Chat command failed in room ${roomCode}:`, error);
+      socket.emit('chatMessage', createPrivateMessage('That command failed, please try again', true));
+      return;
+    }
+
+    if (result.error) {
+      socket.emit('chatMessage', createPrivateMessage(result.error, true));
+      return;
+    }
+
+    if (result.terrain) {
+      const { recipe, version } = result.terrain;
+      io.to(roomCode).emit('terrainGenerated', { recipe, userId: user.id, version });
+    }
+
+    if (result.hexUpdates) {
+      const { updates, version } = result.hexUpdates;
+      io.to(roomCode).emit('hexBatchUpdated', { updates, userId: user.id, version });
+    }
+
+    if (result.focusHex) {
+      socket.emit('focusHex', { hexId: result.focusHex });
+    }
+
+    if (result.reply) {
+      socket.emit('chatMessage', createPrivateMessage(result.reply));
+    }
+
+    // Whispers reach only the sender's and recipient's tabs in this room
+    if (result.whisper) {
+      const { to, message: text } = result.whisper;
+      const entry = { type: 'whisper', userId: user.id, to, message: text, timestamp: Date.now() };
+      const socketIds = [user.id, to].flatMap(userId => roomManager.getUserSockets(roomCode, userId));
+      io.to(socketIds).emit('chatMessage', entry);
+    }
+
+    if (result.announce) {
+      const { entry } = roomManager.addSystemMessage(roomCode, result.announce, result.details);
+      io.to(roomCode).emit('chatMessage', entry);
+    }
+  };
+
+  // Handle a user pointing at or selecting hexes. Presence is sent often and
+  // only the latest matters, so bad updates are dropped without a reply.
+  socket.on('presence', (data) => {
+    const { roomCode, hover = null, selected = null } = data || {};
+    if (!roomManager.isValidRoomCode(roomCode)) return;
+
+    const result = roomManager.setPresence(roomCode, user.id, socket.id, { hover, selected });
+
+    if (result.success) {
+      socket.to(roomCode).volatile.emit('presence', { userId: user.id, hover, selected });
+    }
+  });
+
+  // Handle the host changing a user's role
+  socket.on('setUserRole', (data) => {
+    const { roomCode, userId, role } = data || {};
+    if (!authorize(roomCode, 'manage')) return;
+
+    const result = roomManager.setUserRole(roomCode, user.id, userId, role, socket.id);
+
+    if (result.success) {
+      io.to(roomCode).emit('roleChanged', { userId, role });
+      console.log(`User ${userId} is now ${role} in room ${roomCode}`);
+    } else {
+      socket.emit('actionError', { hexId: null, error: result.error });
+    }
+  });
+
+  // Handle the host removing a user from the room
+  socket.on('kickUser', (data) => {
+    const { roomCode, userId } = data || {};
+    if (!authorize(roomCode, 'manage')) return;
+
+    const result = roomManager.kickUser(roomCode, user.id, userId, socket.id);
+
+    if (!result.success) {
+      socket.emit('actionError', { hexId: null, error: result.error });
+      return;
+    }
+
+    result.socketIds.forEach(socketId => {
+      const kickedSocket = io.sockets.sockets.get(socketId);
+      if (kickedSocket) {
+        kickedSocket.leave(roomCode);
+        kickedSocket.emit('kicked', { roomCode });
+      }
+    });
+    if (result.userLeft) {
+      io.to(roomCode).emit('userLeft', userId);
+    }
+    if (result.spectator) {
+      io.to(roomCode).emit('spectatorCount', { count: roomManager.getSpectatorCount(roomCode) });
+    }
+    console.log(`User ${userId} was removed from room ${roomCode}`);
+  });
+
   // Handle chat messages
   socket.on('chatMessage', (data) => {
-    const { roomCode, message } = data;
-    io.to(roomCode).emit('chatMessage', {
-      userId: socket.id,
-      message,
-      timestamp: Date.now()
-    });
+    const { roomCode, message } = data || {};
+    if (!authorize(roomCode, 'chat')) return;
+
+    const error = roomManager.validateChatMessage(message);
+    if (error) {
+      socket.emit('actionError', { hexId: null, error });
+      return;
+    }
+
+    if (isChatCommand(message)) {
+      handleChatCommand(roomCode, message);
+      return;
+    }
+
+    const result = roomManager.addChatMessage(roomCode, user.id, message);
+    if (result.success) {
+      io.to(roomCode).emit('chatMessage', result.entry);
+    } else {
+      socket.emit('actionError', { hexId: null, error: result.error });
+    }
   });
 
   // Handle disconnection
   socket.on('disconnect', () => {
-    const roomsLeft = roomManager.removeUserFromRooms(socket.id);
-    roomsLeft.forEach(roomCode => {
-      socket.to(roomCode).emit('userLeft', socket.id);
-    });
-    console.log('User disconnected:', socket.id);
+    announceLeaving(roomManager.removeConnection(socket.id));
+    console.log(`User disconnected: ${user.id} on ${socket.id}`);
   });
 });
 
-// Start server
+// Start server once the modules shared with the client are loaded
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+shared.load().then(() => {
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}).catch(error => {
+  console.error('Failed to load shared modules:', error);
+  process.exit(1);
 });
\ No newline at end of file
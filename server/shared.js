@@ -0,0 +1,25 @@
+// Modules in public/js that hold pure logic the server runs too. They are ES
+// modules, so they are loaded with import() once at startup: call load()
+// before using anything attached to this object.
+const shared = {
+  TerrainGenerator: null,
+  GridShapes: null,
+  NoiseGenerator: null,
+  ColorTint: null,
+
+  async load() {
+    const { TerrainGenerator } = await import('../public/js/TerrainGenerator.js');
+    shared.TerrainGenerator = TerrainGenerator;
+
+    const { GridShapes } = await import('../public/js/GridShapes.js');
+    shared.GridShapes = GridShapes;
+
+    const { NoiseGenerator } = await import('../public/js/NoiseGenerator.js');
+    shared.NoiseGenerator = NoiseGenerator;
+
+    const { ColorTint } = await import('../public/js/ColorTint.js');
+    shared.ColorTint = ColorTint;
+  }
+};
+
+module.exports = shared;
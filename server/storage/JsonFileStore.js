@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+
+// Room codes are used as file names, so only accept plain alphanumeric codes
+const ROOM_CODE_PATTERN = /^[A-Z0-9]{1,16}$/;
+
+/**
+ * Stores each room as a JSON file in a data directory.
+ *
+ * Every storage backend exposes the same methods so RoomManager can swap them:
+ *   loadRoom(roomCode)       -> room data or null (synchronous)
+ *   saveRoom(roomCode, data) -> schedules a write of the room data
+ *   deleteRoom(roomCode)     -> removes the room
+ *   listRooms()              -> array of stored room codes
+ *   flush()                  -> writes anything still pending (synchronous)
+ */
+class JsonFileStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(__dirname, '../data/rooms');
+    this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 500; // ms to coalesce writes
+    this.pending = Object.create(null); // Maps room codes to data waiting to be written
+    this.timers = Object.create(null);  // Maps room codes to their write timers
+    this.writes = Object.create(null);  // Maps room codes to the promise of their latest write
+
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  // Get the file path for a room, or null if the code is not safe to use
+  getRoomPath(roomCode) {
+    if (typeof roomCode !== 'string' || !ROOM_CODE_PATTERN.test(roomCode)) return null;
+    return path.join(this.dir, `${roomCode}.json`);
+  }
+
+  // Read a room from disk
+  loadRoom(roomCode) {
+    if (this.pending[roomCode]) return this.pending[roomCode];
+
+    const filePath = this.getRoomPath(roomCode);
+    if (!filePath || !fs.existsSync(filePath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`Failed to read room ${roomCode}:`, error);
+      return null;
+    }
+  }
+
+  // Queue a room to be written; rapid changes are coalesced into one write
+  saveRoom(roomCode, data) {
+    if (!this.getRoomPath(roomCode)) return;
+
+    this.pending[roomCode] = data;
+
+    if (!this.timers[roomCode]) {
+      this.timers[roomCode] = setTimeout(() => this.writeRoom(roomCode), this.saveDelay);
+    }
+  }
+
+  // Write a pending room to disk via a temporary file so a crash never leaves half a file
+  writeRoom(roomCode) {
+    delete this.timers[roomCode];
+
+    const data = this.pending[roomCode];
+    if (!data) return;
+    delete this.pending[roomCode];
+
+    const filePath = this.getRoomPath(roomCode);
+    const tempPath = `${filePath}.tmp`;
+    const contents = JSON.stringify(data);
+
+    // Chain writes for the same room so an older write can never land last
+    const previousWrite = this.writes[roomCode] || Promise.resolve();
+    const write = previousWrite
+      .then(() => fs.promises.writeFile(tempPath, contents))
+      .then(() => fs.promises.rename(tempPath, filePath))
+      .catch(error => {
+        console.error(`Failed to save room ${roomCode}:`, error);
+      })
+      .finally(() => {
+        if (this.writes[roomCode] === write) delete this.writes[roomCode];
+      });
+
+    this.writes[roomCode] = write;
+  }
+
+  // Remove a room from disk
+  deleteRoom(roomCode) {
+    const filePath = this.getRoomPath(roomCode);
+    if (!filePath) return;
+
+    clearTimeout(this.timers[roomCode]);
+    delete this.timers[roomCode];
+    delete this.pending[roomCode];
+
+    // Wait for any write in flight so it can't recreate the file afterwards
+    const previousWrite = this.writes[roomCode] || Promise.resolve();
+    previousWrite
+      .then(() => fs.promises.unlink(filePath))
+      .catch(error => {
+        if (error.code !== 'ENOENT') {
+          console.error(`Failed to delete room ${roomCode}:`, error);
+        }
+      });
+  }
+
+  // List the codes of all rooms on disk
+  listRooms() {
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.replace('.json', ''));
+  }
+
+  // Write all pending rooms immediately, e.g. before the process exits. Like
+  // writeRoom, each goes through a temporary file so it's never left half written.
+  flush() {
+    Object.keys(this.pending).forEach(roomCode => {
+      clearTimeout(this.timers[roomCode]);
+      delete this.timers[roomCode];
+
+      const filePath = this.getRoomPath(roomCode);
+      const tempPath = `${filePath}.tmp`;
+
+      try {
+        fs.writeFileSync(tempPath, JSON.stringify(this.pending[roomCode]));
+        fs.renameSync(tempPath, filePath);
+      } catch (error) {
+        console.error(`Failed to save room ${roomCode}:`, error);
+      }
+      delete this.pending[roomCode];
+    });
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,32 @@
+/**
+ * Keeps rooms in memory only. Useful for development or when rooms should
+ * not outlive the server process. Implements the same methods as JsonFileStore.
+ */
+class MemoryStore {
+  constructor() {
+    this.rooms = Object.create(null); // Maps room codes to serialized room data
+  }
+
+  loadRoom(roomCode) {
+    const data = this.rooms[roomCode];
+    return data ? JSON.parse(data) : null;
+  }
+
+  saveRoom(roomCode, data) {
+    this.rooms[roomCode] = JSON.stringify(data);
+  }
+
+  deleteRoom(roomCode) {
+    delete this.rooms[roomCode];
+  }
+
+  listRooms() {
+    return Object.keys(this.rooms);
+  }
+
+  flush() {
+    // Nothing to write
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,125 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runChatCommand, parseDice, rollDice } = require('../ChatCommands');
+const RoomManager = require('../RoomManager');
+const MemoryStore = require('../storage/MemoryStore');
+const shared = require('../shared');
+
+const host = { id: 'host-user', name: 'Host', color: '#e74c3c' };
+const guest = { id: 'guest-user', name: 'Ana Maria', color: '#3498db' };
+
+describe('ChatCommands', () => {
+  let context;
+
+  before(() => shared.load());
+
+  beforeEach(() => {
+    const roomManager = new RoomManager({ store: new MemoryStore() });
+    const { roomCode } = roomManager.createRoom(host, 'host-socket', { grid: { shape: 'hexagon', radius: 2 } });
+    context = { roomManager, roomCode, user: host, socketId: 'host-socket' };
+  });
+
+  describe('parseDice', () => {
+    it('reads dice and flat modifiers', () => {
+      assert.deepEqual(parseDice('2d6+3'), { dice: [{ count: 2, sides: 6, sign: 1 }], modifier: 3 });
+      assert.deepEqual(parseDice('d20-1+1d4'), {
+        dice: [{ count: 1, sides: 20, sign: 1 }, { count: 1, sides: 4, sign: 1 }],
+        modifier: -1
+      });
+      assert.deepEqual(parseDice(' 3D8 - 1d6 '), {
+        dice: [{ count: 3, sides: 8, sign: 1 }, { count: 1, sides: 6, sign: -1 }],
+        modifier: 0
+      });
+    });
+
+    it('rejects terms without a sign between them', () => {
+      ['2d6 3', '2d6d6', '2d6+', '5', '', 'two d6'].forEach(expression => {
+        assert.match(parseDice(expression).error, /^Can't read dice/, expression);
+      });
+    });
+
+    it('limits the number of dice, their sides and the modifier', () => {
+      assert.ok(parseDice('100d6').dice);
+      assert.equal(parseDice('101d6').error, "Can't roll more than 100 dice at once");
+      assert.equal(parseDice('60d6+41d4').error, "Can't roll more than 100 dice at once");
+      assert.ok(parseDice('1d1000').dice);
+      assert.equal(parseDice('1d1001').error, 'Dice need 2 to 1000 sides and at least one die');
+      assert.equal(parseDice('1d1').error, 'Dice need 2 to 1000 sides and at least one die');
+      assert.equal(parseDice('0d6').error, 'Dice need 2 to 1000 sides and at least one die');
+      assert.equal(parseDice('1d6+10001').error, 'Modifier must be between -10000 and 10000');
+    });
+  });
+
+  describe('rollDice', () => {
+    it('rolls the same dice for the same seed', () => {
+      const parsed = parseDice('4d6+1d20-2');
+      assert.deepEqual(rollDice(parsed, 12345), rollDice(parsed, 12345));
+      assert.notDeepEqual(rollDice(parsed, 12345).rolls, rollDice(parsed, 54321).rolls);
+    });
+
+    it("totals rolls within each die's range", () => {
+      const { rolls, total } = rollDice(parseDice('10d6-1d4+3'), 7);
+
+      assert.equal(rolls[0].length, 10);
+      assert.equal(rolls[1].length, 1);
+      rolls[0].forEach(roll => assert.ok(roll >= 1 && roll <= 6));
+      assert.ok(rolls[1][0] >= 1 && rolls[1][0] <= 4);
+      assert.equal(total, rolls[0].reduce((a, b) => a + b, 0) - rolls[1][0] + 3);
+    });
+  });
+
+  describe('runChatCommand', () => {
+    it('rejects unknown commands', () => {
+      assert.deepEqual(runChatCommand('/fly away', context), {
+        error: 'Unknown command /fly. Type /help to list commands'
+      });
+    });
+
+    it("doesn't run Object.prototype members as commands", () => {
+      ['/constructor', '/__proto__', '/toString', '/hasOwnProperty x'].forEach(message => {
+        const result = runChatCommand(message, context);
+        assert.match(result.error, /^Unknown command \//, message);
+      });
+    });
+
+    it('reports bad dice to /roll', () => {
+      assert.match(runChatCommand('/roll 2d6 3', context).error, /^Can't read dice/);
+    });
+
+    it('reports bad seeds and missing permission to /terrain', () => {
+      assert.equal(runChatCommand('/terrain abc', context).error, 'Seed must be a whole number');
+      assert.equal(
+        runChatCommand('/terrain 42', { ...context, socketId: 'other-socket' }).error,
+        'You are not in this room'
+      );
+    });
+
+    it('reports bad colours and intensities to /tint', () => {
+      assert.equal(runChatCommand('/tint red', context).error, 'Colour must look like #ff8800');
+      assert.equal(runChatCommand('/tint #ff8800 2', context).error, 'Intensity must be between 0 and 1');
+      assert.equal(runChatCommand('/tint #ff8800 lots', context).error, 'Intensity must be between 0 and 1');
+      assert.equal(
+        runChatCommand('/tint #ff8800', { ...context, socketId: 'other-socket' }).error,
+        'You are not in this room'
+      );
+    });
+
+    it('reports malformed and off-grid hexes to /goto', () => {
+      assert.equal(runChatCommand('/goto here', context).error, 'Usage: /goto q,r');
+      assert.equal(runChatCommand('/goto 9,9', context).error, "Hex 9,9 is not on this room's grid");
+      assert.deepEqual(runChatCommand('/goto 1, -1', context), { focusHex: '1,-1' });
+    });
+
+    it('reports unknown, self and empty whispers to /w', () => {
+      context.roomManager.joinRoom(context.roomCode, guest, 'guest-socket');
+
+      assert.equal(runChatCommand('/w', context).error, 'Usage: /w <name> <message>');
+      assert.equal(runChatCommand('/w Bob hi', context).error, 'No one called Bob is in the room');
+      assert.equal(runChatCommand('/w Host hi', context).error, "You can't whisper to yourself");
+      assert.equal(runChatCommand('/w Ana Maria', context).error, 'Usage: /w <name> <message>');
+      assert.deepEqual(runChatCommand('/w @ana maria see you there', context), {
+        whisper: { to: guest.id, message: 'see you there' }
+      });
+    });
+  });
+});
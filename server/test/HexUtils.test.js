@@ -0,0 +1,156 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// A few hexes around two centers, to check transforms off the origin too
+const CENTERS = [{ q: 0, r: 0 }, { q: 3, r: -2 }];
+const HEXES = [{ q: 0, r: 0 }, { q: 2, r: -1 }, { q: -3, r: 1 }, { q: 4, r: 4 }, { q: 3, r: -2 }];
+
+describe('HexUtils', () => {
+  let hexUtils;
+
+  before(async () => {
+    const { HexUtils } = await import('../../public/js/HexUtils.js');
+    hexUtils = new HexUtils();
+  });
+
+  // Heights for a hexagonal grid of the given radius; hexes not in it are off the grid
+  const createHeights = (radius, heights = {}) => {
+    const grid = {};
+    for (let q = -radius; q <= radius; q++) {
+      for (let r = Math.max(-radius, -q - radius); r <= Math.min(radius, -q + radius); r++) {
+        grid[`${q},${r}`] = 0;
+      }
+    }
+    return { ...grid, ...heights };
+  };
+
+  const assertConnected = path => {
+    path.slice(1).forEach((hex, index) => assert.equal(hexUtils.distance(path[index], hex), 1));
+  };
+
+  describe('rotate', () => {
+    it('returns to the start after six 60° steps', () => {
+      CENTERS.forEach(center => HEXES.forEach(hex => {
+        let rotated = hex;
+        for (let i = 0; i < 6; i++) rotated = hexUtils.rotate(rotated, center, 1);
+
+        assert.deepEqual(rotated, hex);
+        assert.deepEqual(hexUtils.rotate(hex, center, 6), hex);
+      }));
+    });
+
+    it('keeps the distance to the center and turns back with negative steps', () => {
+      CENTERS.forEach(center => HEXES.forEach(hex => {
+        const rotated = hexUtils.rotate(hex, center, 2);
+
+        assert.equal(hexUtils.distance(rotated, center), hexUtils.distance(hex, center));
+        assert.deepEqual(hexUtils.rotate(rotated, center, -2), hex);
+      }));
+    });
+
+    it('turns a neighbour to the next direction anticlockwise', () => {
+      assert.deepEqual(hexUtils.rotate({ q: 1, r: 0 }, { q: 0, r: 0 }, 1), { q: 0, r: 1 });
+    });
+  });
+
+  describe('reflect', () => {
+    it('is undone by reflecting again across the same axis', () => {
+      ['q', 'r', 's'].forEach(axis => CENTERS.forEach(center => HEXES.forEach(hex => {
+        const mirrored = hexUtils.reflect(hex, center, axis);
+
+        assert.equal(hexUtils.distance(mirrored, center), hexUtils.distance(hex, center));
+        assert.deepEqual(hexUtils.reflect(mirrored, center, axis), hex);
+      })));
+    });
+
+    it('rejects unknown axes', () => {
+      assert.throws(() => hexUtils.reflect({ q: 1, r: 0 }, { q: 0, r: 0 }, 'x'), /Unknown hex axis: x/);
+    });
+  });
+
+  describe('findPath', () => {
+    const start = { q: -2, r: 0 };
+    const goal = { q: 2, r: 0 };
+
+    // A wall down the q = 0 column with a gap at its bottom hex, 0,3
+    const wall = ['0,-3', '0,-2', '0,-1', '0,0', '0,1', '0,2'];
+
+    it('takes the straight line on open ground', () => {
+      const path = hexUtils.findPath(start, goal, { getHeight: id => createHeights(3)[id] });
+
+      assert.equal(path.length, 5);
+      assert.deepEqual(path[0], start);
+      assert.deepEqual(path[path.length - 1], goal);
+      assertConnected(path);
+    });
+
+    it('goes around hexes that are off the grid', () => {
+      const heights = createHeights(3);
+      wall.forEach(id => delete heights[id]);
+
+      const path = hexUtils.findPath(start, goal, { getHeight: id => heights[id] });
+
+      assert.deepEqual(path[path.length - 1], goal);
+      assertConnected(path);
+      assert.ok(path.some(({ q, r }) => q === 0 && r === 3));
+      assert.ok(path.every(({ q, r }) => !wall.includes(`${q},${r}`)));
+    });
+
+    it('only climbs walls within maxClimb', () => {
+      const heights = createHeights(3, Object.fromEntries(wall.map(id => [id, 5])));
+      const getHeight = id => heights[id];
+
+      assert.equal(hexUtils.findPath(start, goal, { getHeight }).length, 5);
+      assert.equal(hexUtils.findPath(start, goal, { getHeight, maxClimb: 5 }).length, 5);
+
+      const path = hexUtils.findPath(start, goal, { getHeight, maxClimb: 1 });
+      assertConnected(path);
+      assert.ok(path.every(({ q, r }) => !wall.includes(`${q},${r}`)));
+
+      heights['0,3'] = 5;
+      assert.equal(hexUtils.findPath(start, goal, { getHeight, maxClimb: 1 }), null);
+    });
+  });
+
+  describe('reachable', () => {
+    const heights = createHeights(3);
+    const getHeight = id => heights[id];
+
+    it('returns every hex within the budget with its cost', () => {
+      const hexes = hexUtils.reachable({ q: 0, r: 0 }, 2, { getHeight });
+
+      assert.equal(hexes.length, 19);
+      hexes.forEach(hex => assert.equal(hex.cost, hexUtils.distance(hex, { q: 0, r: 0 })));
+    });
+
+    it('spends the budget with a custom step cost', () => {
+      const cost = () => 2;
+
+      assert.equal(hexUtils.reachable({ q: 0, r: 0 }, 3, { getHeight, cost }).length, 7);
+      assert.equal(hexUtils.reachable({ q: 0, r: 0 }, 1, { getHeight, cost }).length, 1);
+    });
+
+    it('stops at the edge of the grid', () => {
+      assert.equal(hexUtils.reachable({ q: 0, r: 0 }, 10, { getHeight }).length, 37);
+      assert.deepEqual(hexUtils.reachable({ q: 9, r: 9 }, 10, { getHeight }), []);
+    });
+  });
+
+  describe('getStepCost', () => {
+    const heights = createHeights(1, { '1,0': 3 });
+    const getHeight = id => heights[id];
+
+    it('blocks steps off the grid or steeper than maxClimb', () => {
+      assert.equal(hexUtils.getStepCost({ q: 1, r: 0 }, { q: 2, r: 0 }, { getHeight }), Infinity);
+      assert.equal(hexUtils.getStepCost({ q: 0, r: 0 }, { q: 1, r: 0 }, { getHeight, maxClimb: 2 }), Infinity);
+      assert.equal(hexUtils.getStepCost({ q: 0, r: 0 }, { q: 1, r: 0 }, { getHeight, maxClimb: 3 }), 1);
+    });
+
+    it('passes both hexes and their heights to a custom cost', () => {
+      const cost = (from, to, fromHeight, toHeight) => 1 + Math.max(0, toHeight - fromHeight);
+
+      assert.equal(hexUtils.getStepCost({ q: 0, r: 0 }, { q: 1, r: 0 }, { getHeight, cost }), 4);
+      assert.equal(hexUtils.getStepCost({ q: 1, r: 0 }, { q: 0, r: 0 }, { getHeight, cost }), 1);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileStore = require('../storage/JsonFileStore');
+const RoomManager = require('../RoomManager');
+const shared = require('../shared');
+
+const host = { id: 'host-user', name: 'Host', color: '#e74c3c' };
+
+// Wait for the store's background writes and deletes to reach the disk
+async function waitFor(condition, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for the store');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('JsonFileStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hex-rooms-'));
+    store = new JsonFileStore({ dir, saveDelay: 20 });
+  });
+
+  afterEach(() => {
+    store.flush();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readRoomFile = roomCode => JSON.parse(fs.readFileSync(path.join(dir, `${roomCode}.json`), 'utf8'));
+
+  it('loads the room it saved', async () => {
+    const data = { host: 'host-user', hexState: { '0,0': { color: '#00ff00', height: 2 } }, version: 3 };
+    store.saveRoom('ABC123', data);
+    await waitFor(() => fs.existsSync(path.join(dir, 'ABC123.json')));
+
+    const reloaded = new JsonFileStore({ dir });
+    assert.deepEqual(reloaded.loadRoom('ABC123'), data);
+    assert.deepEqual(reloaded.listRooms(), ['ABC123']);
+    assert.equal(reloaded.loadRoom('NOPE12'), null);
+  });
+
+  it('coalesces saves made within the delay into one write of the latest data', async () => {
+    store.saveRoom('ABC123', { version: 1 });
+    store.saveRoom('ABC123', { version: 2 });
+
+    // Nothing is written yet, but loads see the pending data
+    assert.equal(fs.existsSync(path.join(dir, 'ABC123.json')), false);
+    assert.deepEqual(store.loadRoom('ABC123'), { version: 2 });
+
+    const writeRoom = store.writeRoom.bind(store);
+    let writes = 0;
+    store.writeRoom = roomCode => {
+      writes++;
+      writeRoom(roomCode);
+    };
+
+    await waitFor(() => fs.existsSync(path.join(dir, 'ABC123.json')));
+    assert.equal(writes, 1);
+    assert.deepEqual(readRoomFile('ABC123'), { version: 2 });
+  });
+
+  it('writes pending rooms at once on flush, without leaving temporary files', () => {
+    store = new JsonFileStore({ dir, saveDelay: 60 * 1000 });
+    store.saveRoom('ABC123', { version: 1 });
+    store.saveRoom('XYZ789', { version: 5 });
+
+    store.flush();
+
+    assert.deepEqual(readRoomFile('ABC123'), { version: 1 });
+    assert.deepEqual(readRoomFile('XYZ789'), { version: 5 });
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['ABC123.json', 'XYZ789.json']);
+    assert.deepEqual(Object.keys(store.timers), []);
+  });
+
+  it('ignores room codes that are not safe file names', () => {
+    ['../etc', 'abc123', '', null].forEach(roomCode => store.saveRoom(roomCode, { version: 1 }));
+    store.flush();
+
+    assert.deepEqual(fs.readdirSync(dir), []);
+  });
+
+  describe('with RoomManager.pruneExpiredRooms', () => {
+    const retentionMs = 60 * 1000;
+    let roomManager;
+
+    before(() => shared.load());
+
+    beforeEach(() => {
+      roomManager = new RoomManager({ store, retentionMs });
+    });
+
+    it('deletes stored rooms that have been empty too long and keeps the rest', async () => {
+      const now = Date.now();
+      fs.writeFileSync(path.join(dir, 'OLD123.json'), JSON.stringify({ emptySince: now - retentionMs - 1 }));
+      fs.writeFileSync(path.join(dir, 'NEW123.json'), JSON.stringify({ emptySince: now - 1000 }));
+
+      assert.deepEqual(roomManager.pruneExpiredRooms(now), ['OLD123']);
+      await waitFor(() => !fs.existsSync(path.join(dir, 'OLD123.json')));
+      assert.deepEqual(store.listRooms(), ['NEW123']);
+    });
+
+    it('deletes rooms in memory once their last user has been gone too long', async () => {
+      const { roomCode } = roomManager.createRoom(host, 'host-socket');
+      store.flush();
+
+      assert.deepEqual(roomManager.pruneExpiredRooms(), []);
+
+      roomManager.removeConnection('host-socket');
+      store.flush();
+      assert.deepEqual(roomManager.pruneExpiredRooms(), []);
+
+      assert.deepEqual(roomManager.pruneExpiredRooms(Date.now() + retentionMs + 1), [roomCode]);
+      await waitFor(() => store.listRooms().length === 0);
+      assert.equal(roomManager.isHexInGrid(roomCode, '0,0'), false);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const RoomManager = require('../RoomManager');
+const MemoryStore = require('../storage/MemoryStore');
+const shared = require('../shared');
+
+const host = { id: 'host-user', name: 'Host', color: '#e74c3c' };
+
+describe('RoomManager', () => {
+  let roomManager;
+  let roomCode;
+
+  before(() => shared.load());
+
+  beforeEach(() => {
+    roomManager = new RoomManager({ store: new MemoryStore() });
+    roomCode = roomManager.createRoom(host, 'host-socket', { grid: { shape: 'hexagon', radius: 2 } }).roomCode;
+  });
+
+  describe('updateHexState', () => {
+    it('applies a valid action', () => {
+      const result = roomManager.updateHexState(roomCode, '1,-1', { color: '#00ff00', height: 2 }, host.id);
+
+      assert.equal(result.success, true);
+      assert.equal(roomManager.getRoomState(roomCode).hexState['1,-1'].color, '#00ff00');
+      assert.equal(roomManager.getRoomState(roomCode).hexState['1,-1'].height, 2);
+    });
+
+    it('rejects unknown keys', () => {
+      const result = roomManager.updateHexState(roomCode, '0,0', { color: '#00ff00', owner: 'me' }, host.id);
+
+      assert.deepEqual(result, { success: false, error: 'action.owner is not allowed' });
+    });
+
+    it('rejects unknown keys inside a voxel model', () => {
+      const result = roomManager.updateHexState(roomCode, '0,0', { voxelModel: { type: 'tree', script: 'x' } }, host.id);
+
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'action.voxelModel.script is not allowed');
+    });
+
+    it('rejects heights out of range or not numbers', () => {
+      [0, -1, 51, Infinity, NaN, '3'].forEach(height => {
+        const result = roomManager.updateHexState(roomCode, '0,0', { height }, host.id);
+        assert.equal(result.success, false, `height ${String(height)} was accepted`);
+      });
+    });
+
+    it('rejects long or malformed strings', () => {
+      const results = [
+        { color: `#${'f'.repeat(10000)}` },
+        { color: 'red' },
+        { voxelModel: { type: 'a'.repeat(65) } },
+        { voxelModel: { type: '../../etc/passwd' } }
+      ].map(action => roomManager.updateHexState(roomCode, '0,0', action, host.id));
+
+      results.forEach(result => assert.equal(result.success, false));
+    });
+
+    it('rejects hex IDs that are malformed or off the grid', () => {
+      ['3,0', '100,100', 'abc', '0,0,0', '', null].forEach(hexId => {
+        const result = roomManager.updateHexState(roomCode, hexId, { color: '#00ff00' }, host.id);
+        assert.equal(result.success, false, `hex ${String(hexId)} was accepted`);
+      });
+    });
+
+    it('leaves the room unchanged when an action is rejected', () => {
+      roomManager.updateHexState(roomCode, '0,0', { height: 999 }, host.id);
+
+      assert.deepEqual(roomManager.getRoomState(roomCode).hexState, {});
+      assert.equal(roomManager.getRoomState(roomCode).version, 0);
+    });
+  });
+
+  describe('updateHexStates', () => {
+    it('applies nothing if any update in the batch is invalid', () => {
+      const result = roomManager.updateHexStates(roomCode, [
+        { hexId: '0,0', action: { color: '#00ff00' } },
+        { hexId: '9,9', action: { color: '#00ff00' } }
+      ], host.id);
+
+      assert.equal(result.success, false);
+      assert.equal(result.error, "Hex 9,9 is not on this room's grid");
+      assert.deepEqual(roomManager.getRoomState(roomCode).hexState, {});
+    });
+
+    it('rejects empty batches and batches that are not arrays', () => {
+      [[], {}, null, 'updates'].forEach(updates => {
+        assert.equal(roomManager.updateHexStates(roomCode, updates, host.id).success, false);
+      });
+    });
+  });
+
+  describe('importMap', () => {
+    it('round-trips an exported map into a room with the same grid', () => {
+      roomManager.updateHexState(roomCode, '1,0', { color: '#00ff00', height: 3 }, host.id);
+      const { map } = roomManager.exportMap(roomCode);
+
+      const other = roomManager.createRoom(host, 'other-socket', { grid: { shape: 'hexagon', radius: 2 } }).roomCode;
+      const result = roomManager.importMap(other, map, host.id);
+
+      assert.equal(result.success, true);
+      assert.equal(roomManager.getRoomState(other).hexState['1,0'].color, '#00ff00');
+    });
+
+    it('rejects a map made for a different grid or hex size', () => {
+      const { map } = roomManager.exportMap(roomCode);
+
+      [{ shape: 'hexagon', radius: 3 }, { shape: 'rectangle', width: 5, height: 5 }, { shape: 'hexagon', radius: 2, hexSize: 2 }]
+        .forEach(grid => {
+          const other = roomManager.createRoom(host, 'other-socket', { grid }).roomCode;
+          const result = roomManager.importMap(other, map, host.id);
+          assert.equal(result.success, false);
+          assert.match(result.error, /different grid/);
+        });
+    });
+
+    it("doesn't record an import that changes nothing", () => {
+      roomManager.updateHexState(roomCode, '1,0', { color: '#00ff00' }, host.id);
+      const { map } = roomManager.exportMap(roomCode);
+      const room = roomManager.getRoomState(roomCode);
+      const { version } = room;
+
+      const result = roomManager.importMap(roomCode, map, host.id);
+
+      assert.deepEqual(result, { success: true, updates: [], version });
+      assert.equal(room.version, version);
+      assert.equal(room.history.undo.length, 1);
+    });
+  });
+
+  describe('checkPermission', () => {
+    it("refuses a user's socket that didn't join the room", () => {
+      assert.equal(roomManager.checkPermission(roomCode, host.id, 'edit', 'host-socket'), null);
+      assert.equal(roomManager.checkPermission(roomCode, host.id, 'edit', 'other-socket'), 'You are not in this room');
+    });
+
+    it('refuses host actions from a socket outside the room', () => {
+      const guest = { id: 'guest-user', name: 'Guest', color: '#3498db' };
+      roomManager.joinRoom(roomCode, guest, 'guest-socket');
+
+      assert.equal(roomManager.kickUser(roomCode, host.id, guest.id, 'other-socket').success, false);
+      assert.equal(roomManager.setUserRole(roomCode, host.id, 'constructor', 'viewer', 'host-socket').success, false);
+      assert.equal(roomManager.kickUser(roomCode, host.id, guest.id, 'host-socket').success, true);
+    });
+  });
+
+  describe('tintHexes', () => {
+    it('blends every hex towards the tint with ColorTint', () => {
+      roomManager.updateHexState(roomCode, '0,0', { color: '#000000' }, host.id);
+
+      const result = roomManager.tintHexes(roomCode, '#ff8000', 0.5, host.id);
+      assert.equal(result.success, true);
+      assert.equal(result.updates.length, 19);
+
+      const state = roomManager.getRoomState(roomCode).hexState;
+      assert.equal(state['0,0'].color, '#804000');
+      assert.equal(state['1,-1'].color, '#ffc080');
+      assert.equal(shared.ColorTint.blend('#123456', '#abcdef', 0), '#123456');
+      assert.equal(shared.ColorTint.blend('#123456', '#abcdef', 1), '#abcdef');
+    });
+  });
+
+  describe('room codes', () => {
+    it('generates codes that pass isValidRoomCode', () => {
+      assert.equal(roomManager.isValidRoomCode(roomCode), true);
+    });
+
+    it('rejects codes that are not generated room codes', () => {
+      ['constructor', '__proto__', 'toString', 'abcdef', 'ABC', '', null, {}].forEach(code => {
+        assert.equal(roomManager.isValidRoomCode(code), false);
+      });
+    });
+
+    it("doesn't find rooms under Object.prototype keys", () => {
+      ['constructor', '__proto__', 'toString'].forEach(code => {
+        assert.deepEqual(roomManager.joinRoom(code, host, 'other-socket'), { success: false, error: 'Room not found' });
+        assert.equal(roomManager.checkPermission(code, host.id, 'edit', 'host-socket'), 'Room not found');
+      });
+    });
+  });
+});